@@ -0,0 +1,173 @@
+/**
+ * Measures how long it takes to assemble subsets of a large 4D tiled range from its tiles.
+ * The tiles are kept in memory and provided by a tile resolver such that only the assembly is measured.
+ * For comparison, the same subsets are also assembled with the former per-value copying, see assembleReference().
+ *
+ * Run with: npm run bench
+ */
+
+import 'core-js/es6/promise'
+import 'core-js/es6/symbol'
+import 'core-js/es6/map'
+import 'core-js/modules/es6.array.from'
+
+import ndarray from 'ndarray'
+
+import {read} from '../src/reader.js'
+
+const SHAPE = [4, 5, 400, 400] // t, z, y, x
+const TILE_SHAPE = [1, 1, 100, 100]
+const AXIS_NAMES = ['t', 'z', 'y', 'x']
+const RUNS = 3
+
+function createTiles () {
+  let tiles = new Map()
+  let counts = SHAPE.map((size, i) => Math.ceil(size / TILE_SHAPE[i]))
+  let tileSize = TILE_SHAPE.reduce((a, b) => a * b)
+  for (let t = 0; t < counts[0]; t++) {
+    for (let z = 0; z < counts[1]; z++) {
+      for (let y = 0; y < counts[2]; y++) {
+        for (let x = 0; x < counts[3]; x++) {
+          let values = new Array(tileSize)
+          for (let i = 0; i < tileSize; i++) {
+            values[i] = i % 97 === 0 ? null : i / 10
+          }
+          tiles.set([t, z, y, x].join('-'), {
+            type: 'NdArray',
+            dataType: 'float',
+            axisNames: AXIS_NAMES,
+            shape: TILE_SHAPE,
+            values
+          })
+        }
+      }
+    }
+  }
+  return tiles
+}
+
+function createCoverage () {
+  let axes = {}
+  AXIS_NAMES.forEach((name, i) => {
+    axes[name] = {start: 0, stop: SHAPE[i] - 1, num: SHAPE[i]}
+  })
+  return {
+    type: 'Coverage',
+    domain: {type: 'Domain', axes, referencing: []},
+    parameters: {
+      TEMP: {type: 'Parameter', observedProperty: {label: {en: 'Temperature'}}}
+    },
+    ranges: {
+      TEMP: {
+        type: 'TiledNdArray',
+        dataType: 'float',
+        axisNames: AXIS_NAMES,
+        shape: SHAPE,
+        tileSets: [{tileShape: TILE_SHAPE, urlTemplate: '{t}-{z}-{y}-{x}'}]
+      }
+    }
+  }
+}
+
+const CASES = [
+  ['full range', {}],
+  ['single time step', {t: 2}],
+  ['every 3rd value horizontally', {y: {start: 0, stop: 400, step: 3}, x: {start: 0, stop: 400, step: 3}}],
+  ['unaligned window', {t: 1, y: {start: 50, stop: 350}, x: {start: 10, stop: 390}}]
+]
+
+/**
+ * Assembles a subset the way loadTiledNdArraySubset() did before strided block copies were used:
+ * the subset indices of each tile are enumerated as cartesian product and copied one by one with
+ * ndarray get/set. Only the copying is done here, so the measured speed-up is a lower bound.
+ */
+function assembleReference (tiles, constraints) {
+  let constraintsArr = AXIS_NAMES.map((name, i) => {
+    let c = constraints[name]
+    if (c === undefined) return {start: 0, stop: SHAPE[i], step: 1}
+    if (typeof c === 'number') return {start: c, stop: c + 1, step: 1}
+    return {start: c.start, stop: c.stop, step: c.step || 1}
+  })
+  let subsetShape = constraintsArr.map(({start, stop, step}) => Math.ceil((stop - start) / step))
+  let subsetNdArr = ndarray(new Array(subsetShape.reduce((l, r) => l * r)), subsetShape)
+  let axisTiles = constraintsArr.map(({start, stop}, ax) => {
+    let indices = []
+    for (let t = Math.floor(start / TILE_SHAPE[ax]); t < Math.ceil(stop / TILE_SHAPE[ax]); t++) {
+      indices.push(t)
+    }
+    return indices
+  })
+  for (let tile of cartesianProduct(axisTiles)) {
+    let tileNdArr = ndarray(tiles.get(tile.join('-')).values, TILE_SHAPE)
+    let tileOffsets = tile.map((v, i) => v * TILE_SHAPE[i])
+    let tileAxesSubsetIndices = constraintsArr.map(({start, stop, step}, ax) => {
+      let indices = []
+      let startIdx = Math.max(0, start - tileOffsets[ax])
+      let stopIdx = Math.min(TILE_SHAPE[ax], stop - tileOffsets[ax])
+      for (let i = startIdx; i < stopIdx; i++) {
+        if ((tileOffsets[ax] + i - start) % step === 0) {
+          indices.push(i)
+        }
+      }
+      return indices
+    })
+    for (let tileInd of cartesianProduct(tileAxesSubsetIndices)) {
+      let val = tileNdArr.get(...tileInd)
+      let subsetInd = tileInd.map((i, ax) => Math.floor((tileOffsets[ax] + i - constraintsArr[ax].start) / constraintsArr[ax].step))
+      subsetNdArr.set(...subsetInd, val)
+    }
+  }
+  return subsetNdArr
+}
+
+function cartesianProduct (arr) {
+  return arr.reduce((a, b) => a.map(x => b.map(y => x.concat(y))).reduce((a, b) => a.concat(b), []), [[]])
+}
+
+function best (fn) {
+  let durations = []
+  for (let i = 0; i < RUNS; i++) {
+    let start = now()
+    fn()
+    durations.push(now() - start)
+  }
+  return Math.min(...durations)
+}
+
+function now () {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now()
+}
+
+function bench (cov, [name, constraints]) {
+  let durations = []
+  let run = () => {
+    let start = now()
+    return cov.subsetByIndex(constraints)
+      .then(subset => subset.loadRange('TEMP'))
+      .then(range => {
+        durations.push(now() - start)
+        let size = [...range.shape.values()].reduce((a, b) => a * b)
+        if (durations.length < RUNS) {
+          return run()
+        }
+        let fastest = Math.min(...durations)
+        let reference = best(() => assembleReference(tiles, constraints))
+        console.log(name + ': ' + size + ' values, best of ' + RUNS + ': ' + fastest.toFixed(1) + ' ms' +
+          ' (per-value copying: ' + reference.toFixed(1) + ' ms, ' + (reference / fastest).toFixed(1) + 'x faster)')
+      })
+  }
+  return run()
+}
+
+let tiles = createTiles()
+let tileResolver = ({tile}) => {
+  let tileDoc = tiles.get(AXIS_NAMES.map(name => tile[name]).join('-'))
+  return tileDoc
+}
+
+read(createCoverage(), {tileResolver, cache: false}).then(cov => {
+  return CASES.reduce((promise, c) => promise.then(() => bench(cov, c)), Promise.resolve())
+}).catch(e => {
+  console.error(e)
+  process.exitCode = 1
+})
@@ -11,6 +11,7 @@ module.exports = function(config) {
     // list of files / patterns to load and/or serve in the browser
     files: [
       {pattern: 'test/fixtures/**/*.covjson', included: false, served: true},
+      {pattern: 'test/fixtures/**/*.cbor', included: false, served: true},
       'test/**/*.js'
     ],
 
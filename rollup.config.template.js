@@ -5,7 +5,7 @@ import uglify from 'rollup-plugin-uglify'
 
 export default options => {
   return {
-    entry: 'src/reader.js',
+    entry: options.worker ? 'src/worker.js' : 'src/reader.js',
     plugins: [
       babel({
         exclude: 'node_modules/**',
@@ -15,9 +15,10 @@ export default options => {
       nodeResolve({ jsnext: true, browser: true }),
       commonjs({ include: 'node_modules/**' })
     ].concat(options.minify ? [uglify()] : []),
-    external: ['covutils'],
+    // the worker script runs in its own global scope and therefore includes all dependencies
+    external: options.worker ? [] : ['covutils'],
 
-    dest: 'covjson-reader.' + (options.minify ? 'min' : 'src') + '.js',
+    dest: 'covjson-reader.' + (options.worker ? 'worker.' : '') + (options.minify ? 'min' : 'src') + '.js',
     format: 'iife',
     moduleName: 'CovJSON',
     globals: {
@@ -0,0 +1,3 @@
+import config from './rollup.config.template.js'
+
+export default config({minify: true, worker: true})
\ No newline at end of file
@@ -10,9 +10,16 @@ import template from 'url-template'
 import {minMax, subsetDomainByIndex, subsetByValue as subsetCoverageByValue, normalizeIndexSubsetConstraints} from 'covutils'
 
 import {COVERAGE} from './constants.js'
-import {shallowcopy, getNamespacePrefixes, CORE_PREFIX, DOMAINTYPES_PREFIX} from './util.js'
+import {shallowcopy, getNamespacePrefixes, getBaseUrl, resolveUrl, mapLimit, createAbortController, CORE_PREFIX, DOMAINTYPES_PREFIX} from './util.js'
 
-import {load} from './http.js'
+import {loadCached} from './cache.js'
+import {mergeLoadOptions, decodeResponseBody} from './http-common.js'
+import {ValidationError, UnsupportedError, escapeJsonPointer} from './errors.js'
+import {validate, validateDomainDocument, validateRangeDocument, throwIfInvalid} from './validate.js'
+import {toTypedValues, getPacking, maskFillValues, typedMinMax} from './typed-arrays.js'
+import {getRangeDecoder} from './range-decoders.js'
+import {getIndexSubsetUrl, getValueSubsetUrl} from './api.js'
+import {addLinkRelations, getLinks} from './links.js'
 
 /**
  * Wraps a CoverageJSON Coverage object as a Coverage API object.
@@ -31,6 +38,62 @@ export default class Coverage {
    *   (The domain is always cached.)
    * @param {Array} [options.referencing]
    *   Referencing info to use (e.g. from containing collection).
+   * @param {Object} [options.headers]
+   *   Additional HTTP headers to send when loading remote domains, ranges, and tiles.
+   * @param {Object} [options.eagerload]
+   *   The eagerload option used when loading remote domains, ranges, and tiles, see {@link load}.
+   * @param {string} [options.credentials]
+   *   Whether to send credentials when loading remote domains, ranges, and tiles, see {@link load}.
+   * @param {function(url: string, options: Object): Promise} [options.loader]
+   *   A custom loader function used for loading remote domains, ranges, and tiles, see {@link load}.
+   * @param {function(url: string, init: Object): Promise} [options.fetch]
+   *   A fetch()-compatible function used for loading remote domains, ranges, and tiles, see {@link load}.
+   * @param {Worker} [options.worker]
+   *   A worker used for loading and parsing remote domains, ranges, and tiles, see {@link load}.
+   * @param {number} [options.timeout]
+   *   The timeout in milliseconds of each attempt of loading remote domains, ranges, and tiles, see {@link load}.
+   * @param {number|Object} [options.retry]
+   *   The retry policy for loading remote domains, ranges, and tiles, see {@link load}.
+   * @param {string} [options.baseUrl]
+   *   The URL to resolve relative domain and range URLs against, typically the URL of the document.
+   * @param {Cache|boolean} [options.cache]
+   *   The {@link Cache} used for loading remote domains, ranges, and tiles, or false to disable caching.
+   *   Defaults to the shared {@link cache}.
+   * @param {boolean} [options.strict]
+   *   If true, then remote domains and ranges are validated after loading, see {@link validate}.
+   *   Loading then fails with a {@link ValidationError} if they are invalid.
+   * @param {function(request: Object): Promise} [options.tileResolver]
+   *   A function which provides the tiles of TiledNdArray ranges from a local source instead of loading them
+   *   from their URLs, for example from an archive, an in-memory Map, or IndexedDB.
+   *   It receives an object <code>{url, path, paramKey, tileSet, tile, signal}</code> where path is the expanded
+   *   URL template of the selected tile set, url is path resolved against the base URL, and tile maps
+   *   axis names to tile indices. It returns the tile as NdArray object, as JSON or CBOR encoded bytes
+   *   (ArrayBuffer or Uint8Array), or as a Promise of either. If it returns undefined or null,
+   *   then the tile is loaded from its URL.
+   *   The object additionally has an indices property which maps axis names to the index range
+   *   <code>{start, stop}</code> (stop exclusive) covered by the tile.
+   * @param {number} [options.concurrency]
+   *   The maximum number of tiles of a TiledNdArray range that are loaded at the same time
+   *   by a single loadRange() call, at least 1. By default all tiles are requested at once.
+   *   If a tile fails to load, then the tiles still being loaded are aborted.
+   * @param {function(tile: Object): number} [options.tilePriority]
+   *   A function which determines the order in which tiles are loaded, most useful with the concurrency option.
+   *   It receives the same object as tileResolver and returns a number, tiles with lower numbers are loaded first,
+   *   for example the distance of the tile to the centre of the visible map area.
+   * @param {number|function(stats: Object): number|Object} [options.tileSetSelection]
+   *   How the tile set of a TiledNdArray range is selected for a given subset.
+   *   For each tile set, the number of tiles and the number of values that would have to be loaded are determined
+   *   as <code>{index, tileSet, tileCount, valueCount}</code>, and the tile set with the least cost is selected.
+   *   By default, the cost of a tile request equals the cost of 1000 values.
+   *   A function receives these statistics and returns a custom cost.
+   *   An object <code>{latency, bandwidth, bytesPerValue, concurrency}</code> estimates the cost as loading time
+   *   from a measured request latency in milliseconds and bandwidth in bytes per second,
+   *   where bytesPerValue defaults to 8 and concurrency to the concurrency option.
+   *   A number selects the tile set with that index in the tileSets array.
+   *   The selected tile set and its cost are available as tileSetSelection property of the loaded range.
+   * @param {boolean} [options.remoteSubsetting=true]
+   *   Whether subsetByIndex() and subsetByValue() request the subset from the server
+   *   if the coverage links to a subsetting URL template, see {@link Coverage#subsetByIndex}.
    */
   constructor (covjson, options) {
     this._covjson = covjson
@@ -51,6 +114,16 @@ export default class Coverage {
 
     this._exposeLd(covjson)
 
+    /**
+     * The links given in the Link headers of the response the coverage was loaded from,
+     * as objects <code>{url, rel, anchor, attributes}</code> where url and anchor are absolute URLs,
+     * rel is an array of relation types, and attributes contains all other link parameters like title and type.
+     * Links without anchor are also added to the ld property as link relations.
+     *
+     * @type {Array<Object>}
+     */
+    this.links = []
+
     this.prefixes = getNamespacePrefixes(this.ld)
 
     /**
@@ -131,9 +204,18 @@ export default class Coverage {
   /**
    * Returns a Promise succeeding with a {@link Domain} object.
    *
-   * @return {Promise<Domain>}
+   * Note that the domain is loaded only once, therefore any options given
+   * in subsequent calls have no effect while loading is in progress or succeeded.
+   *
+   * @param {Object} [options]
+   *   Options for loading a remote domain (headers, eagerload, credentials, loader, fetch, worker, timeout, retry)
+   *   which override those given in the constructor, see {@link load}.
+   * @param {AbortSignal} [options.signal]
+   *   A signal which aborts loading a remote domain. The promise then fails with an AbortError.
+   * @return {Promise<Domain>} A Promise object succeeding with the domain.
+   *   Remote domains have a links property with the links of their Link headers, see {@link Coverage#links}.
    */
-  loadDomain () {
+  loadDomain (options) {
     let domainOrUrl = this._covjson.domain
     if (this._domainPromise) return this._domainPromise
     let promise
@@ -142,14 +224,25 @@ export default class Coverage {
       transformDomain(domain, this.options.referencing, this.domainType)
       promise = Promise.resolve(domain)
     } else {
-      let url = domainOrUrl
-      promise = load(url).then(result => {
+      let url = resolveUrl(this.options.baseUrl, domainOrUrl)
+      let validateFn = domain => validateDomainDocument(domain, {
+        domainType: this.domainType,
+        referencing: this.options.referencing
+      })
+      promise = loadDocument(url, mergeLoadOptions(this.options, options), validateFn).then(result => {
         let domain = result.data
         transformDomain(domain, this.options.referencing, this.domainType)
+        domain.links = getLinks(result.headers, result.url || url)
         this._covjson.domain = domain
         this._updateLoadStatus()
         return domain
       })
+      // allow to try again, e.g. after the request was aborted
+      promise.catch(() => {
+        if (this._domainPromise === promise) {
+          delete this._domainPromise
+        }
+      })
     }
     /* The promise gets cached so that the domain is not loaded twice remotely.
      * This might otherwise happen when loadDomain and loadRange is used
@@ -164,6 +257,13 @@ export default class Coverage {
    *
    * Note that this method implicitly loads the domain as well.
    *
+   * Values of ranges with data type "float" or "integer" are stored in compact typed arrays.
+   * Missing values are returned as null by the get() function of the range.
+   * Numeric ranges and tiles may be packed in netCDF style with scale_factor, add_offset, and _FillValue members,
+   * in which case get() returns the unpacked values <code>value * scale_factor + add_offset</code>,
+   * values equal to a fill value are missing, and the data type of the range is "float".
+   * Packing metadata of a TiledNdArray applies to all of its tiles which have none of their own.
+   *
    * @example
    * cov.loadRange('salinity').then(function (sal) {
    *   // work with Range object
@@ -172,10 +272,28 @@ export default class Coverage {
    *   console.log(e.message)
    * })
    * @param {string} paramKey The key of the Parameter for which to load the range.
+   * @param {Object} [options]
+   *   Options for loading remote ranges and tiles (headers, eagerload, credentials, loader, fetch, worker, timeout, retry,
+   *   tileResolver, concurrency, tilePriority, tileSetSelection)
+   *   which override those given in the constructor, see {@link load}.
+   * @param {AbortSignal} [options.signal]
+   *   A signal which aborts loading the domain, range, and any outstanding tiles.
+   *   The promise then fails with an AbortError.
+   * @param {function(event: Object)} [options.onProgress]
+   *   A callback which receives progress events <code>{unit, loaded, total}</code>.
+   *   For remote ranges, unit is 'bytes' and total is undefined if unknown.
+   *   For tiled ranges, unit is 'tiles' and loaded/total are numbers of tiles.
+   * @param {function(range: Range, paramKey: string)} [options.onPartialRange]
+   *   A callback which receives the range of a TiledNdArray whenever a tile was copied into it,
+   *   except for the last tile. Values of tiles that were not loaded yet are null.
+   *   This allows to render a range progressively. The promise succeeds with the same range object.
    * @return {Promise<Range>} A Promise object which loads the requested range data and succeeds with a Range object.
+   *   Ranges of TiledNdArrays have an additional property tileSetSelection
+   *   <code>{index, tileSet, tileCount, valueCount, cost}</code> describing the tile set that was used.
+   *   Remote ranges have a links property with the links of their Link headers, see {@link Coverage#links}.
    */
-  loadRange (paramKey) {
-    return loadRangeFn(this)(paramKey)
+  loadRange (paramKey, options) {
+    return loadRangeFn(this)(paramKey, options)
   }
 
   /**
@@ -192,10 +310,12 @@ export default class Coverage {
    *   console.log(e)
    * })
    * @param {iterable<string>} [paramKeys] An iterable of parameter keys for which to load the range data. If not given, loads all range data.
+   * @param {Object} [options] Options for loading remote ranges and tiles, see {@link loadRange}.
+   *   Progress events additionally have a paramKey property.
    * @return {Promise<Map<string,Range>>} A Promise object which loads the requested range data and succeeds with a Map object.
    */
-  loadRanges (paramKeys) {
-    return loadRangesFn(this)(paramKeys)
+  loadRanges (paramKeys, options) {
+    return loadRangesFn(this)(paramKeys, options)
   }
 
   /**
@@ -209,6 +329,13 @@ export default class Coverage {
    * that no copying is done but also no memory is released if the original
    * coverage is garbage collected.
    *
+   * If the coverage links to an RFC 6570 URL template with relation type
+   * <code>https://covjson.org/def/api#subsetByIndex</code>, either in its JSON-LD or in a Link-Template header,
+   * then the subset is requested from the server instead, unless the remoteSubsetting option is false.
+   * The template variables are the axis names, which are expanded to "i" for a single index,
+   * "start:stop" for a range of indices, or "start:stop:step" if the step is not 1.
+   * If a constrained axis is not a variable of the template, the coverage is subsetted locally.
+   *
    * @example
    * cov.subsetByIndex({t: 4, z: {start: 10, stop: 20} }).then(function(subsetCov) {
    *   // work with subsetted coverage
@@ -228,6 +355,10 @@ export default class Coverage {
    * @returns {Promise<Coverage>} A Promise object with the subsetted coverage object as result.
    */
   subsetByIndex (constraints) {
+    let url = this.options.remoteSubsetting !== false && getIndexSubsetUrl(this, constraints)
+    if (url) {
+      return loadRemoteSubset(this, url)
+    }
     return subsetByIndexFn(this)(constraints)
   }
 
@@ -242,6 +373,11 @@ export default class Coverage {
    * that no copying is done but also no memory is released if the original
    * coverage is garbage collected.
    *
+   * As with {@link Coverage#subsetByIndex}, the subset is requested from the server if the coverage links to
+   * a URL template with relation type <code>https://covjson.org/def/api#subsetByValue</code>.
+   * Its axis variables are expanded to the value itself, or to "start/stop" for an extent.
+   * Target constraints are resolved locally to indices, which may then be requested from the server.
+   *
    * @example
    * cov.subsetByValue({
    *   t: '2015-01-01T01:00:00',
@@ -266,6 +402,10 @@ export default class Coverage {
    * @returns {Promise<Coverage>} A Promise object with the subsetted coverage object as result.
    */
   subsetByValue (constraints) {
+    let url = this.options.remoteSubsetting !== false && getValueSubsetUrl(this, constraints)
+    if (url) {
+      return loadRemoteSubset(this, url)
+    }
     return subsetCoverageByValue(this, constraints)
   }
 }
@@ -286,7 +426,7 @@ function getRangeAxisOrder (domain, range) {
   // domain is checked for backwards-compatibility
   let axisOrder = domain._rangeAxisOrder || range._axisNames
   if (needsRangeAxisOrder && !axisOrder) {
-    throw new Error('Range axis order missing')
+    throw new ValidationError('Range axis order missing', '/axisNames')
   }
   axisOrder = axisOrder || [...domain.axes.keys()]
   return axisOrder
@@ -308,23 +448,33 @@ function getRangeShapeArray (domain, range) {
   if (range._shape) {
     let matchesDomain = range._shape.length === shape.length && range._shape.every((v, i) => v === shape[i])
     if (!matchesDomain) {
-      throw new Error('range.shape must match domain axis sizes')
+      throw new ValidationError('range.shape must match domain axis sizes', '/shape')
     }
   }
   return shape
 }
 
 /**
- * Returns a `loadRanges([keys])` function based on the given coverage object.
+ * Returns a `loadRanges([keys], [options])` function based on the given coverage object.
  *
  * @param {Coverage} The coverage object.
  * @return {Function}
  */
 function loadRangesFn (cov) {
-  return paramKeys => {
-    if (paramKeys === undefined) paramKeys = cov.parameters.keys()
+  return (paramKeys, options) => {
+    if (paramKeys === undefined || paramKeys === null) paramKeys = cov.parameters.keys()
     paramKeys = Array.from(paramKeys)
-    return Promise.all(paramKeys.map(k => cov.loadRange(k))).then(ranges => {
+    let rangeOptions = k => {
+      if (!options || !options.onProgress) return options
+      let opts = shallowcopy(options)
+      opts.onProgress = e => {
+        let event = shallowcopy(e)
+        event.paramKey = k
+        options.onProgress(event)
+      }
+      return opts
+    }
+    return Promise.all(paramKeys.map(k => cov.loadRange(k, rangeOptions(k)))).then(ranges => {
       let map = new Map()
       for (let i = 0; i < paramKeys.length; i++) {
         map.set(paramKeys[i], ranges[i])
@@ -335,7 +485,26 @@ function loadRangesFn (cov) {
 }
 
 /**
- * Returns a `loadRange(key)` function that loads subsetted data based on the given subset constraints.
+ * Loads a domain, range, or coverage document via the cache and, if the strict option is set,
+ * validates it with the given function.
+ * The cache returns an unmodified copy of the document, therefore it is validated before it gets transformed.
+ *
+ * @param {string} url The URL of the document.
+ * @param {Object} options The load options.
+ * @param {function(doc: Object): Object} validateFn Returns a validation report for the document.
+ * @return {Promise<Object>} The result of loadCached().
+ */
+function loadDocument (url, options, validateFn) {
+  return loadCached(url, options).then(result => {
+    if (options.strict) {
+      throwIfInvalid(validateFn(result.data))
+    }
+    return result
+  })
+}
+
+/**
+ * Returns a `loadRange(key, [options])` function that loads subsetted data based on the given subset constraints.
  * The subset constraints must be relative to the original coverage, not an already subsetted version.
  *
  * @param {Coverage} cov The coverage object.
@@ -343,21 +512,33 @@ function loadRangesFn (cov) {
  * @return {Function}
  */
 function loadRangeFn (cov, globalConstraints) {
-  return paramKey => {
+  return (paramKey, options) => {
+    let loadOptions = mergeLoadOptions(cov.options, options)
+    // progress is only reported for the range itself
+    let domainOptions = mergeLoadOptions({}, options)
+    delete domainOptions.onProgress
     // Since the shape of the range array is derived from the domain, it has to be loaded as well.
-    return cov.loadDomain().then(() => {
+    return cov.loadDomain(domainOptions).then(() => {
       let rangeOrUrl = cov._covjson.ranges[paramKey]
       if (typeof rangeOrUrl === 'object') {
         let rawRange = rangeOrUrl
         // we need the original domain here, not a potentially subsetted one,
         // therefore we access cov._covjson directly
         // this legacy code will disappear once the old range format is not supported anymore
-        return doLoadRange(cov, paramKey, rawRange, cov._covjson.domain, globalConstraints)
+        return doLoadRange(cov, paramKey, rawRange, cov._covjson.domain, globalConstraints, loadOptions,
+          cov.options.baseUrl)
       } else {
-        let url = rangeOrUrl
-        return load(url).then(result => {
+        let url = resolveUrl(cov.options.baseUrl, rangeOrUrl)
+        let validateFn = range => validateRangeDocument(range, cov._covjson.domain)
+        return loadDocument(url, loadOptions, validateFn).then(result => {
           let rawRange = result.data
-          return doLoadRange(cov, paramKey, rawRange, cov._covjson.domain, globalConstraints)
+          let baseUrl = getBaseUrl(rawRange, result.url || url)
+          let links = getLinks(result.headers, result.url || url)
+          return doLoadRange(cov, paramKey, rawRange, cov._covjson.domain, globalConstraints, loadOptions, baseUrl)
+            .then(range => {
+              range.links = links
+              return range
+            })
         })
       }
     })
@@ -369,12 +550,14 @@ function loadRangeFn (cov, globalConstraints) {
  *
  * @param {Coverage} cov The coverage object for which to load range data.
  * @param {string} paramKey
- * @param {Object} range A CovJSON range object (of type [Tiled]NdArray)
+ * @param {Object} range A CovJSON range object (of type [Tiled]NdArray or a registered range type)
  * @param {Domain} domain The domain object corresponding to the coverage object.
  * @param {Object} [globalConstraints] Subsetting constraints to apply.
+ * @param {Object} [loadOptions] Options passed to load() when loading tiles.
+ * @param {string} [baseUrl] The URL to resolve relative tile URLs against.
  * @return {Promise<Range>}
  */
-function doLoadRange (cov, paramKey, range, domain, globalConstraints = {}) {
+function doLoadRange (cov, paramKey, range, domain, globalConstraints = {}, loadOptions = {}, baseUrl) {
   globalConstraints = normalizeIndexSubsetConstraints(domain, globalConstraints)
 
   if (range.type === 'NdArray' || range.type === 'Range') {
@@ -388,146 +571,271 @@ function doLoadRange (cov, paramKey, range, domain, globalConstraints = {}) {
     let newrange = subsetNdArrayRangeByIndex(range, domain, globalConstraints)
     return Promise.resolve(newrange)
   } else if (range.type === 'TiledNdArray') {
-    return loadTiledNdArraySubset(range, globalConstraints)
-  } else {
-    throw new Error('Unsupported: ' + range.type)
+    return loadTiledNdArraySubset(paramKey, range, globalConstraints, loadOptions, baseUrl)
   }
+  let decoder = getRangeDecoder(range.type)
+  if (!decoder) {
+    throw new UnsupportedError('Unsupported range type: ' + range.type)
+  }
+  let context = {paramKey, domain, constraints: globalConstraints, options: loadOptions, baseUrl}
+  return Promise.resolve().then(() => decoder(range, context))
 }
 
 /**
  *
+ * @param {string} paramKey key of the parameter the range belongs to
  * @param {object} range TiledNdArray range object
  * @param {object} constraints subsetting constraints
+ * @param {object} loadOptions options passed to load() for each tile
+ * @param {string} [baseUrl] URL to resolve relative tile URLs against
  * @returns {Promise<Range>}
  */
-function loadTiledNdArraySubset (range, constraints) {
+function loadTiledNdArraySubset (paramKey, range, constraints, loadOptions, baseUrl) {
   let constraintsArr = range.axisNames.map(name => constraints[name])
 
-  // step 1: select tileset with least network effort
+  // step 1: select the tileset with the least cost, by default the least network effort
   let fillNulls = tileShape => tileShape.map((v, i) => v === null ? range.shape[i] : v)
-  let tilesetsStats = range.tileSets.map(ts => getTilesetStats(fillNulls(ts.tileShape), constraintsArr))
-  let idxBestTileset = indexOfBestTileset(tilesetsStats)
-  let tileset = range.tileSets[idxBestTileset]
+  let tilesetsStats = range.tileSets.map((ts, index) => {
+    let stats = getTilesetStats(fillNulls(ts.tileShape), range.shape, constraintsArr)
+    stats.index = index
+    stats.tileSet = ts
+    return stats
+  })
+  let selection = selectTileset(tilesetsStats, loadOptions.tileSetSelection, loadOptions.concurrency)
+  let tileset = range.tileSets[selection.index]
+  // tiles without packing metadata of their own are packed as declared by the tiled range
+  let packing = getPacking(range)
   let urlTemplate = template.parse(tileset.urlTemplate)
   let tileShape = fillNulls(tileset.tileShape)
 
   // step 2: determine the tiles to load
-  let subsetTilesetAxes = []
-  for (let ax = 0; ax < tileShape.length; ax++) {
-    let {start, stop, step} = constraintsArr[ax]
-    let tileSize = tileShape[ax]
-
-    // the indices of the first and last tile containing the subsetting constraints
-    let tileStart = Math.floor(start / tileSize) // inclusive
-    let tileStop = Math.ceil(stop / tileSize) // exclusive
-
-    let tilesetAxis = []
-    for (let t = tileStart; t < tileStop; t++) {
-      let mid = (t + 0.5) * tileSize
-      // regard the subset constraint as a list of [x,y) half-closed intervals and find out where 'mid' falls into
-      let iv = Math.floor((mid - start) / step)
-
-      // start and end point of the interval in range index space
-      let ivStart = start + iv * step
-      let ivStop = start + (iv + 1) * step
-
-      // tile start and end in range index space
-      let tileStartR = t * tileSize
-      let tileStopR = (t + 1) * tileSize
-
-      // check if the start or end point of the interval lies within the tile
-      if (ivStart >= tileStartR || tileStopR <= ivStop) {
-        tilesetAxis.push(t)
-      }
+  let tiles = cartesianProduct(tilesetsStats[selection.index].axisTiles)
+  let subsetShape = constraintsArr.map(({start, stop, step}) => Math.floor((stop - start) / step) + (stop - start) % step)
+
+  /**
+   * Returns information about a tile given as array of tile indices, as passed to tileResolver and tilePriority.
+   */
+  function getTileInfo (tile) {
+    let tileUrlVars = {}
+    let indices = {}
+    tile.forEach((v, i) => {
+      let name = range.axisNames[i]
+      tileUrlVars[name] = v
+      indices[name] = {start: v * tileShape[i], stop: Math.min((v + 1) * tileShape[i], range.shape[i])}
+    })
+    let path = urlTemplate.expand(tileUrlVars)
+    let url = resolveUrl(baseUrl, path)
+    return {url, path, paramKey, tileSet: tileset, tile: tileUrlVars, indices, signal: controller.signal}
+  }
+
+  function loadTile (info) {
+    let load = () => loadCached(info.url, loadOptions).then(result => result.data)
+    if (!tileResolver) {
+      return load()
     }
-    subsetTilesetAxes.push(tilesetAxis)
+    // a resolver throwing synchronously rejects like any other tile failure
+    return Promise.resolve().then(() => tileResolver(info)).then(tileRange => {
+      if (tileRange === undefined || tileRange === null) {
+        return load()
+      }
+      if (tileRange instanceof ArrayBuffer || ArrayBuffer.isView(tileRange)) {
+        // raw file contents, e.g. from an archive
+        return decodeResponseBody(tileRange, undefined, info.url)
+      }
+      return tileRange
+    })
   }
 
-  let tiles = cartesianProduct(subsetTilesetAxes)
-  let subsetShape = constraintsArr.map(({start, stop, step}) => Math.floor((stop - start) / step) + (stop - start) % step)
+  // progress is reported as number of loaded tiles instead of bytes
+  let onProgress = loadOptions.onProgress
+  let onPartialRange = loadOptions.onPartialRange
+  let tileResolver = loadOptions.tileResolver
+  let tilePriority = loadOptions.tilePriority
+  let concurrency = loadOptions.concurrency || Infinity
+  let signal = loadOptions.signal
+  loadOptions = shallowcopy(loadOptions)
+  for (let name of ['onProgress', 'onPartialRange', 'tileResolver', 'tilePriority', 'concurrency', 'tileSetSelection']) {
+    delete loadOptions[name]
+  }
 
-  function getTileUrl (tile) {
-    let tileUrlVars = {}
-    tile.forEach((v, i) => { tileUrlVars[range.axisNames[i]] = v })
-    return urlTemplate.expand(tileUrlVars)
+  // aborted by the caller's signal, or when a tile fails so that the remaining tile requests are stopped
+  let controller = createAbortController()
+  let onAbort = () => controller.abort()
+  if (signal && signal.aborted) controller.abort()
+  if (signal) signal.addEventListener('abort', onAbort)
+  loadOptions.signal = controller.signal
+  let cleanup = () => {
+    if (signal) signal.removeEventListener('abort', onAbort)
+  }
+  let tilesLoaded = 0
+  function reportProgress () {
+    if (onProgress) {
+      onProgress({unit: 'tiles', loaded: tilesLoaded, total: tiles.length})
+    }
+  }
+  reportProgress()
+
+  let tileInfos = tiles.map(getTileInfo)
+  if (tilePriority) {
+    // tiles with lower values first, keeping the original order otherwise
+    let priorities = tileInfos.map(tilePriority)
+    let order = tileInfos.map((info, i) => i).sort((i, j) => priorities[i] - priorities[j] || i - j)
+    tiles = order.map(i => tiles[i])
+    tileInfos = order.map(i => tileInfos[i])
   }
 
   // step 3a: check if only a single tile will be loaded and avoid copying data around in that case
   if (tiles.length === 1 && subsetShape.every((v, i) => v === tileShape[i])) {
-    let url = getTileUrl(tiles[0])
-    return load(url).then(result => {
-      let tileRange = result.data
-      transformNdArrayRange(tileRange)
-      return tileRange
+    return loadTile(tileInfos[0]).then(tileRange => {
+      cleanup()
+      transformNdArrayRange(tileRange, undefined, packing)
+      tilesLoaded++
+      reportProgress()
+      // the tile may be cached and shared, therefore a copy is returned
+      let newrange = shallowcopy(tileRange)
+      newrange.tileSetSelection = selection
+      return newrange
+    }, e => {
+      cleanup()
+      throw e
     })
   } else {
-    // step 3b: create an empty ndarray of the subset shape that will be filled with tile data
+    // step 3b: preallocate the values of the subset that will be filled with tile data
     let subsetSize = subsetShape.reduce((l, r) => l * r)
-    let subsetNdArr = ndarray(new Array(subsetSize), subsetShape)
-
-    // step 4: load tiles and fill subset ndarray
-    let promises = tiles.map(tile => {
-      let url = getTileUrl(tile)
-      return load(url).then(result => {
-        let tileRange = result.data
-        transformNdArrayRange(tileRange)
-
-        // figure out which parts of the tile to copy into which part of the final ndarray
-        let tileOffsets = tile.map((v, i) => v * tileShape[i])
-
-        // iterate all tile values and for each check if they are part of the subset
-        // TODO this code is probably quite slow, consider pre-compiling etc
-        //      -> use ndarray-ops#assign for fast copies
-        let tileAxesSubsetIndices = []
+    let subsetValues = createSubsetArray(range.dataType, subsetSize)
+    let subsetNdArr = ndarray(subsetValues, subsetShape)
+
+    // tile values are unpacked when copying them into the subset
+    let newrange = {
+      dataType: packing && packing.scaled ? 'float' : range.dataType,
+      get: createRangeGetFunction(subsetNdArr, range.axisNames),
+      _ndarr: subsetNdArr,
+      _axisNames: range.axisNames,
+      _shape: subsetShape,
+      tileSetSelection: selection
+    }
+    newrange.shape = new Map(range.axisNames.map((v, i) => [v, subsetNdArr.shape[i]]))
+
+    // step 4: load tiles and copy the parts within the subset into the subset array
+    let promise = mapLimit(tiles, concurrency, (tile, i) => {
+      return loadTile(tileInfos[i]).then(tileRange => {
+        transformNdArrayRange(tileRange, undefined, packing)
+        if (tileRange._packing) {
+          newrange.dataType = 'float'
+        }
+
+        // for each axis, determine the block of tile indices on the subset grid
+        // and where it is located in the subset
+        let blocks = []
         for (let ax = 0; ax < tileShape.length; ax++) {
           let {start, stop, step} = constraintsArr[ax]
-          let tileAxisSize = tileShape[ax]
-          let tileAxisOffset = tileOffsets[ax]
-          let tileAxisSubsetIndices = []
-          let startIdx = 0
-          if (tileAxisOffset < start) {
-            startIdx = start - tileAxisOffset
-          }
-          let stopIdx = tileAxisSize
-          if (tileAxisOffset + stopIdx > stop) {
-            stopIdx = stop - tileAxisOffset
-          }
-
-          for (let i = startIdx; i < stopIdx; i++) {
-            let idx = tileAxisOffset + i
-            if ((idx - start) % step === 0) {
-              tileAxisSubsetIndices.push(i)
-            }
-          }
-          tileAxesSubsetIndices.push(tileAxisSubsetIndices)
-        }
-        let tileSubsetIndices = cartesianProduct(tileAxesSubsetIndices)
-        for (let tileInd of tileSubsetIndices) {
-          let val = tileRange._ndarr.get(...tileInd)
-          let subsetInd = tileInd.map((i, ax) => {
-            let idx = tileOffsets[ax] + i
-            return Math.floor((idx - constraintsArr[ax].start) / constraintsArr[ax].step)
+          let tileAxisOffset = tile[ax] * tileShape[ax]
+          let startIdx = Math.max(0, start - tileAxisOffset)
+          let stopIdx = Math.min(tileShape[ax], stop - tileAxisOffset)
+          // the first index that is on the subset grid
+          let rest = (tileAxisOffset + startIdx - start) % step
+          let first = rest === 0 ? startIdx : startIdx + step - rest
+          let count = first < stopIdx ? Math.floor((stopIdx - 1 - first) / step) + 1 : 0
+          blocks.push({
+            tileStart: first,
+            subsetStart: (tileAxisOffset + first - start) / step,
+            count,
+            step
           })
-          subsetNdArr.set(...subsetInd, val)
+        }
+        copyTileBlocks(tileRange._ndarr, subsetNdArr, blocks, tileRange._packing)
+        tilesLoaded++
+        reportProgress()
+        if (onPartialRange && tilesLoaded < tiles.length) {
+          onPartialRange(newrange, paramKey)
         }
       })
     })
 
-    // step 5: create and return the new range
-    return Promise.all(promises).then(() => {
-      let newrange = {
-        dataType: range.dataType,
-        get: createRangeGetFunction(subsetNdArr, range.axisNames),
-        _ndarr: subsetNdArr,
-        _axisNames: range.axisNames,
-        _shape: subsetShape
-      }
-      newrange.shape = new Map(range.axisNames.map((v, i) => [v, subsetNdArr.shape[i]]))
+    // step 5: return the new range once all tiles are copied
+    return promise.then(() => {
+      cleanup()
       return newrange
+    }, e => {
+      cleanup()
+      controller.abort()
+      throw e
     })
   }
 }
 
+/**
+ * Returns an array for the values of an assembled tiled range subset with all values missing.
+ * Numeric values are stored in a Float64Array with NaN as missing value,
+ * which can hold the values of all integer typed arrays used for tiles.
+ *
+ * @param {string} [dataType] The data type of the range.
+ * @param {number} size The number of values.
+ * @return {Array|Float64Array}
+ */
+function createSubsetArray (dataType, size) {
+  let arr
+  if (dataType === 'float' || dataType === 'integer') {
+    arr = new Float64Array(size)
+    for (let i = 0; i < size; i++) arr[i] = NaN
+  } else {
+    arr = new Array(size)
+    for (let i = 0; i < size; i++) arr[i] = null
+  }
+  return arr
+}
+
+/**
+ * Copies strided blocks of values from a tile into the subset, without visiting values outside the blocks.
+ * Where both sides are contiguous along the last axis and no unpacking is needed, whole rows are copied at once.
+ *
+ * @param {ndarray} tileNdArr The ndarray or masked ndarray of the tile, see maskedNdArray().
+ * @param {ndarray} subsetNdArr The row-major ndarray of the subset.
+ * @param {Array<Object>} blocks For each axis, an object <code>{tileStart, subsetStart, count, step}</code>
+ *   where tileStart is the first tile index to copy, step the distance between tile indices to copy,
+ *   and subsetStart the subset index of the first copied value. Subset indices are consecutive.
+ * @param {Object} [packing] The packing metadata of the tile values, see getPacking().
+ */
+function copyTileBlocks (tileNdArr, subsetNdArr, blocks, packing) {
+  if (blocks.some(b => b.count === 0)) {
+    return
+  }
+  let src = tileNdArr.mask ? tileNdArr.data : tileNdArr
+  let mask = tileNdArr.mask ? tileNdArr.mask.data : null
+  let srcData = src.data
+  let dst = subsetNdArr.data
+  let missing = ArrayBuffer.isView(dst) ? NaN : null
+  let {scale, offset} = packing || {}
+  let canCopyRows = !mask && !packing && ArrayBuffer.isView(srcData) && ArrayBuffer.isView(dst)
+  let last = blocks.length - 1
+
+  let copy = (ax, srcOffset, dstOffset) => {
+    let {tileStart, subsetStart, count, step} = blocks[ax]
+    let srcIdx = srcOffset + tileStart * src.stride[ax]
+    let dstIdx = dstOffset + subsetStart * subsetNdArr.stride[ax]
+    let srcInc = step * src.stride[ax]
+    let dstInc = subsetNdArr.stride[ax]
+    if (ax < last) {
+      for (let i = 0; i < count; i++) {
+        copy(ax + 1, srcIdx, dstIdx)
+        srcIdx += srcInc
+        dstIdx += dstInc
+      }
+    } else if (canCopyRows && srcInc === 1 && dstInc === 1) {
+      dst.set(srcData.subarray(srcIdx, srcIdx + count), dstIdx)
+    } else {
+      for (let i = 0; i < count; i++) {
+        let val = srcData[srcIdx]
+        dst[dstIdx] = val === null || val === undefined || (mask && !mask[srcIdx]) ? missing
+          : packing ? val * scale + offset : val
+        srcIdx += srcInc
+        dstIdx += dstInc
+      }
+    }
+  }
+  copy(0, src.offset, subsetNdArr.offset)
+}
+
 /**
  * Return the cartesian product of the given arrays.
  *
@@ -538,47 +846,103 @@ function cartesianProduct (arr) {
 }
 
 /**
- * Returns the number of tiles and values that have to be loaded, given a set of subsetting constraints.
+ * Returns the indices of the tiles along an axis that contain values within the given subsetting constraint.
+ *
+ * @param {number} tileSize
+ * @param {object} constraint - start/stop/step subset constraint, stop is exclusive
+ * @returns {Array<number>}
+ */
+function getAxisTiles (tileSize, {start, stop, step}) {
+  // the indices of the first and last tile containing the subsetting constraints
+  let tileStart = Math.floor(start / tileSize) // inclusive
+  let tileStop = Math.ceil(stop / tileSize) // exclusive
+
+  let axisTiles = []
+  for (let t = tileStart; t < tileStop; t++) {
+    let mid = (t + 0.5) * tileSize
+    // regard the subset constraint as a list of [x,y) half-closed intervals and find out where 'mid' falls into
+    let iv = Math.floor((mid - start) / step)
+
+    // start and end point of the interval in range index space
+    let ivStart = start + iv * step
+    let ivStop = start + (iv + 1) * step
+
+    // tile start and end in range index space
+    let tileStartR = t * tileSize
+    let tileStopR = (t + 1) * tileSize
+
+    // check if the start or end point of the interval lies within the tile
+    if (ivStart >= tileStartR || tileStopR <= ivStop) {
+      axisTiles.push(t)
+    }
+  }
+  return axisTiles
+}
+
+/**
+ * Returns the tiles and the number of tiles and values that have to be loaded, given a set of subsetting constraints.
+ * Edge tiles which are smaller than the tile shape are taken into account.
  *
  * @param {Array<number>} tileShape
+ * @param {Array<number>} shape - the shape of the range
  * @param {Array<object>} constraints - start/stop/step subset constraints for each axis, stop is exclusive
- * @returns {number}
+ * @returns {object} An object <code>{tileCount, valueCount, axisTiles}</code> where axisTiles
+ *   contains the tile indices to load for each axis.
  */
-function getTilesetStats (tileShape, constraints) {
+function getTilesetStats (tileShape, shape, constraints) {
+  let axisTiles = tileShape.map((tileSize, i) => getAxisTiles(tileSize, constraints[i]))
   let tileCount = 1
+  let valueCount = 1
   for (let i = 0; i < tileShape.length; i++) {
-    let {start, stop, step} = constraints[i]
-    let tileSize = tileShape[i]
-
-    // the indices of the first and last tile containing the subsetting constraints
-    let tileStart = Math.floor(start / tileSize) // inclusive
-    let tileStop = Math.ceil(stop / tileSize) // exclusive
-
-    // total number of values within the tiles containing the subsetting constraints
-    let nvalues = tileSize * (tileStop - tileStart)
-
-    // number of tiles that intersect with the subsetting constraints
-    tileCount *= Math.ceil(nvalues / (Math.max(step, tileSize)))
+    tileCount *= axisTiles[i].length
+    valueCount *= axisTiles[i].reduce((sum, t) => sum + Math.min(tileShape[i], shape[i] - t * tileShape[i]), 0)
   }
-  // the value count is an upper bound as it doesn't account for edge tiles that may be smaller
-  let valueCount = tileCount * tileShape.reduce((l, r) => l * r)
-
-  return {tileCount, valueCount}
+  return {tileCount, valueCount, axisTiles}
 }
 
 /**
- * Returns the index of the tileset with minimum network effort based on the given tileset statistics.
- * Effort here means a combination of number of requested tiles and values.
+ * The default tileset cost: one tile request shall have an equal effort as receiving 1000 values.
+ */
+const TILE_VALUE_RATIO = 1000
+
+/**
+ * Selects the tileset with the least cost.
  *
- * @param {Array<object>} tilesetsStats
- * @returns {number} index of the tileset with minimum network effort
+ * @param {Array<object>} tilesetsStats - for each tileset, an object <code>{index, tileSet, tileCount, valueCount}</code>
+ * @param {number|function|object} [selection] - the tileSetSelection option, see the Coverage constructor
+ * @param {number} [concurrency] - the concurrency option, used by the latency/bandwidth heuristic
+ * @returns {object} An object <code>{index, tileSet, tileCount, valueCount, cost}</code> of the selected tileset.
  */
-function indexOfBestTileset (tilesetsStats) {
-  // one tile request shall have an equal effort as receiving 1000 values
-  let tileValueRatio = 1000
-  let efforts = tilesetsStats.map(s => s.tileCount + s.valueCount / tileValueRatio)
-  let minEffortIdx = efforts.reduce((imin, x, i, arr) => x < arr[imin] ? i : imin, 0)
-  return minEffortIdx
+function selectTileset (tilesetsStats, selection, concurrency) {
+  let cost
+  if (typeof selection === 'function') {
+    cost = selection
+  } else if (selection && typeof selection === 'object') {
+    let {latency = 0, bandwidth = Infinity, bytesPerValue = 8} = selection
+    let parallel = selection.concurrency || concurrency || Infinity
+    // estimated time in milliseconds, with the tiles loaded in rounds of parallel requests
+    cost = s => Math.ceil(s.tileCount / parallel) * latency + s.valueCount * bytesPerValue / bandwidth * 1000
+  } else {
+    cost = s => s.tileCount + s.valueCount / TILE_VALUE_RATIO
+  }
+  let candidates = tilesetsStats
+  if (typeof selection === 'number' && tilesetsStats[selection]) {
+    candidates = [tilesetsStats[selection]]
+  }
+  let best
+  for (let stats of candidates) {
+    let result = {
+      index: stats.index,
+      tileSet: stats.tileSet,
+      tileCount: stats.tileCount,
+      valueCount: stats.valueCount,
+      cost: cost(stats)
+    }
+    if (!best || result.cost < best.cost) {
+      best = result
+    }
+  }
+  return best
 }
 
 /**
@@ -601,15 +965,37 @@ function subsetNdArrayRangeByIndex (range, domain, constraints) {
 
   let newrange = {
     dataType: range.dataType,
-    get: createRangeGetFunction(newndarr, axisNames),
+    get: createRangeGetFunction(newndarr, axisNames, range._packing),
     _ndarr: newndarr,
     _axisNames: axisNames,
-    _shape: newndarr.shape
+    _shape: newndarr.shape,
+    _packing: range._packing
   }
   newrange.shape = new Map(axisNames.map((v, i) => [v, newndarr.shape[i]]))
   return newrange
 }
 
+/**
+ * Loads a subset of a coverage from the server.
+ *
+ * @param {Coverage} cov The coverage.
+ * @param {string} url The URL of the subset, see api.js.
+ * @return {Promise<Coverage>}
+ */
+function loadRemoteSubset (cov, url) {
+  return loadDocument(url, mergeLoadOptions(cov.options), validate).then(result => {
+    let doc = result.data
+    if (!doc || doc.type !== COVERAGE) {
+      throw new ValidationError('Subset document must be of Coverage type', '/type')
+    }
+    let options = shallowcopy(cov.options)
+    options.baseUrl = getBaseUrl(doc, result.url || url)
+    let subset = new Coverage(doc, options)
+    addLinkRelations(subset, result.headers, result.url || url)
+    return subset
+  })
+}
+
 /**
  * Returns a `subsetByIndex(constraints)` function for a given coverage that works relative
  * to the given subsetting constraints.
@@ -653,42 +1039,26 @@ function subsetByIndexFn (cov, globalConstraints) {
 }
 
 /**
- * Currently unused, but may need in future.
- * This determines the best array type for categorical data which
- * doesn't have missing values.
+ * Wraps an ndarray of values and an ndarray of the same shape containing a validity mask
+ * into an ndarray-like object whose get() function returns null for missing values.
+ * The returned object supports the ndarray view functions hi(), lo(), and step().
+ *
+ * @param {ndarray} data The values.
+ * @param {ndarray} mask The validity mask, 0 marks a missing value.
+ * @return {Object}
  */
-/*
-function arrayType (validMin, validMax) {
-  let type
-  if (validMin !== undefined) {
-    if (validMin >= 0) {
-      if (validMax < Math.pow(2,8)) {
-        type = Uint8Array
-      } else if (validMax < Math.pow(2,16)) {
-        type = Uint16Array
-      } else if (validMax < Math.pow(2,32)) {
-        type = Uint32Array
-      } else {
-        type = Array
-      }
-    } else {
-      let max = Math.max(Math.abs(validMin), validMax)
-      if (max < Math.pow(2,8)) {
-        type = Int8Array
-      } else if (validMax < Math.pow(2,16)) {
-        type = Int16Array
-      } else if (validMax < Math.pow(2,32)) {
-        type = Int32Array
-      } else {
-        type = Array
-      }
-    }
-  } else {
-    type = Array
+function maskedNdArray (data, mask) {
+  return {
+    data,
+    mask,
+    shape: data.shape,
+    dimension: data.dimension,
+    get: (...indices) => mask.get(...indices) ? data.get(...indices) : null,
+    hi: (...args) => maskedNdArray(data.hi(...args), mask.hi(...args)),
+    lo: (...args) => maskedNdArray(data.lo(...args), mask.lo(...args)),
+    step: (...args) => maskedNdArray(data.step(...args), mask.step(...args))
   }
-  return type
 }
-*/
 
 /**
  * Transforms a CoverageJSON parameter to the Coverage API format, that is,
@@ -726,16 +1096,24 @@ export function transformParameter (params, key) {
 /**
  * Transforms a CoverageJSON NdArray range to the Coverage API format. Transformation is made in-place.
  *
+ * Numeric ranges with packing metadata (see getPacking()) keep their packed values,
+ * which are unpacked by the get() function. Their data type and statistics are changed to the unpacked ones.
+ *
  * @param {Object} range The original NdArray range.
  * @param {Object} [domain] The CoverageJSON domain object.
+ * @param {Object} [defaultPacking] The packing metadata to use if the range has none itself,
+ *   e.g. that of the TiledNdArray a tile belongs to.
  * @return {Object} The transformed range.
  */
-function transformNdArrayRange (range, domain) {
+function transformNdArrayRange (range, domain, defaultPacking) {
   if ('__transformDone' in range) return
 
   const values = range.values
+  let isNumeric = range.dataType === 'float' || range.dataType === 'integer'
+  let packing = isNumeric ? getPacking(range) || defaultPacking : undefined
 
-  if (range.actualMin === undefined) {
+  // statistics of packed ranges are determined after fill values are masked
+  if (range.actualMin === undefined && !packing) {
     let [min, max] = minMax(values)
     if (min !== null) {
       range.actualMin = min
@@ -756,9 +1134,26 @@ function transformNdArrayRange (range, domain) {
   let axisNames = getRangeAxisOrder(domain, range)
   let shapeArr = getRangeShapeArray(domain, range)
 
-  let ndarr = ndarray(values, shapeArr)
+  let ndarr
+  // ranges prepared in a worker already have typed values and a separate validity mask, see worker.js
+  let typed = range._mask ? {values, mask: range._mask} : toTypedValues(values, range.dataType)
+  delete range._mask
+  if (typed && packing) {
+    typed = maskFillValues(typed, packing.fillValues)
+    unpackStatistics(range, typed, packing)
+  }
+  if (typed) {
+    // the original values array is not needed anymore
+    range.values = typed.values
+    ndarr = ndarray(typed.values, shapeArr)
+    if (typed.mask) {
+      ndarr = maskedNdArray(ndarr, ndarray(typed.mask, shapeArr))
+    }
+  } else {
+    ndarr = ndarray(values, shapeArr)
+  }
   range._ndarr = ndarr
-  range.get = createRangeGetFunction(ndarr, axisNames)
+  range.get = createRangeGetFunction(ndarr, axisNames, range._packing)
   range.shape = new Map(axisNames.map((v, i) => [v, shapeArr[i]]))
 
   range.__transformDone = true
@@ -766,18 +1161,60 @@ function transformNdArrayRange (range, domain) {
 }
 
 /**
+ * Determines the statistics of a packed range in unpacked form and marks the range as packed
+ * if it has a scale factor or offset. Given statistics are assumed to be packed, like the values.
  *
+ * @param {Object} range The NdArray range.
+ * @param {Object} typed The packed values with fill values masked, see toTypedValues().
+ * @param {Object} packing The packing metadata, see getPacking().
+ */
+function unpackStatistics (range, typed, packing) {
+  if (range.actualMin === undefined) {
+    let [min, max] = typedMinMax(typed)
+    if (min !== null) {
+      range.actualMin = min
+      range.actualMax = max
+    }
+  }
+  if (!packing.scaled) {
+    return
+  }
+  if (range.actualMin !== undefined) {
+    let min = range.actualMin * packing.scale + packing.offset
+    let max = range.actualMax * packing.scale + packing.offset
+    // a negative scale factor swaps minimum and maximum
+    range.actualMin = Math.min(min, max)
+    range.actualMax = Math.max(min, max)
+  }
+  range.dataType = 'float'
+  range._packing = packing
+}
+
+/**
+ * Returns a range get function which returns null for missing values,
+ * that is, null, NaN, or values marked as missing in the validity mask of a masked ndarray.
+ *
+ * @param ndarr An ndarray or masked ndarray, see maskedNdArray().
  * @param axisOrder An array of axis names.
+ * @param [packing] The packing metadata of packed values, see getPacking().
  * @returns Function
  */
-function createRangeGetFunction (ndarr, axisOrder) {
+function createRangeGetFunction (ndarr, axisOrder, packing) {
   // see below for slower reference version
+  let ndvars = ''
   let ndargs = ''
   for (let i = 0; i < axisOrder.length; i++) {
+    ndvars += `var i${i} = '${axisOrder[i]}' in obj ? obj['${axisOrder[i]}'] : 0;`
     if (ndargs) ndargs += ','
-    ndargs += `'${axisOrder[i]}' in obj ? obj['${axisOrder[i]}'] : 0`
+    ndargs += 'i' + i
   }
-  let fn = new Function('ndarr', `return function ndarrget (obj) { return ndarr.get(${ndargs}) }`)(ndarr)
+  let unpack = packing ? ' * scale + offset' : ''
+  let body = ndarr.mask
+    ? `return ndarr.mask.get(${ndargs}) ? ndarr.data.get(${ndargs})${unpack} : null`
+    : `var val = ndarr.get(${ndargs}); return val !== val ? null : val${unpack}`
+  let {scale, offset} = packing || {}
+  let fn = new Function('ndarr', 'scale', 'offset',
+    `return function ndarrget (obj) { ${ndvars} ${body} }`)(ndarr, scale, offset)
   return fn
 }
 
@@ -793,7 +1230,8 @@ function createRangeGetFunction (ndarr, axisOrder) {
     for (let i=0; i < axisCount; i++) {
       indices[i] = axisOrder[i] in obj ? obj[axisOrder[i]] : 0
     }
-    return ndarr.get(...indices)
+    let val = ndarr.get(...indices)
+    return val !== val ? null : val
   }
 }
 */
@@ -849,7 +1287,8 @@ export function transformDomain (domain, referencing, domainType) {
       let step
       if (axis.num === 1) {
         if (axis.start !== axis.stop) {
-          throw new Error('regular axis of length 1 must have equal start/stop values')
+          throw new ValidationError('regular axis of length 1 must have equal start/stop values',
+            '/axes/' + escapeJsonPointer(key))
         }
         step = 0
       } else {
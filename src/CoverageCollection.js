@@ -2,11 +2,32 @@
  * @external {CollectionQuery} https://github.com/Reading-eScience-Centre/coverage-jsapi/blob/master/CoverageCollectionQuery.md
  */
 
-import {COVERAGECOLLECTION} from './constants.js'
+import {COVERAGECOLLECTION, LINKRELPREFIX} from './constants.js'
 import {default as Coverage, transformDomain, transformParameter} from './Coverage.js'
-import {shallowcopy, getNamespacePrefixes, DOMAINTYPES_PREFIX} from './util.js'
+import {shallowcopy, getNamespacePrefixes, getBaseUrl, getLdValue, resolveUrl, DOMAINTYPES_PREFIX} from './util.js'
+import {mergeLoadOptions} from './http-common.js'
+import {loadCached} from './cache.js'
+import {ValidationError} from './errors.js'
+import {transformCovJSON} from './transform.js'
 import {CollectionQuery} from 'covutils'
 
+const HYDRA_PREFIX = 'http://www.w3.org/ns/hydra/core#'
+
+/**
+ * The IDs generated for collection parameters without ID, by parameter object.
+ */
+const generatedIds = new WeakMap()
+
+/**
+ * The page relations of paged collections, with their IANA link relation types and Hydra properties.
+ */
+const PAGE_RELATIONS = [
+  {name: 'previous', rels: ['prev', 'previous'], hydra: 'previous'},
+  {name: 'next', rels: ['next'], hydra: 'next'},
+  {name: 'first', rels: ['first'], hydra: 'first'},
+  {name: 'last', rels: ['last'], hydra: 'last'}
+]
+
 /**
  * Wraps a CoverageJSON Collection object as a CoverageCollection API object.
  *
@@ -16,8 +37,13 @@ import {CollectionQuery} from 'covutils'
 export default class CoverageCollection {
   /**
    * @param {Object} covjson The CoverageJSON Collection document.
+   * @param {Object} [options]
+   *   Options for loading remote documents (headers, eagerload, credentials, loader, fetch, worker),
+   *   see {@link load}. These are passed on to each {@link Coverage}.
+   * @param {string} [options.baseUrl]
+   *   The URL to resolve relative URLs in the coverages against.
    */
-  constructor (covjson) {
+  constructor (covjson, options = {}) {
     /**
      * The constant "CoverageCollection".
      *
@@ -34,6 +60,23 @@ export default class CoverageCollection {
 
     this._exposeLd(covjson)
 
+    /**
+     * The links given in the Link headers of the response the collection was loaded from,
+     * as objects <code>{url, rel, anchor, attributes}</code> where url and anchor are absolute URLs,
+     * rel is an array of relation types, and attributes contains all other link parameters like title and type.
+     * Links without anchor are also added to the ld property as link relations.
+     *
+     * @type {Array<Object>}
+     */
+    this.links = []
+
+    /**
+     * The options object that was passed in to the constructor.
+     *
+     * @type {Object}
+     */
+    this.options = shallowcopy(options)
+
     this.prefixes = getNamespacePrefixes(this.ld)
 
     /**
@@ -64,10 +107,11 @@ export default class CoverageCollection {
       let param = rootParams[key]
       if (!param.id) {
         param.id = Math.round(new Date().getTime() * Math.random()).toString()
+        generatedIds.set(param, param.id)
       }
     }
 
-    let covOptions = {}
+    let covOptions = mergeLoadOptions(options)
     if (covjson.referencing) {
       covOptions.referencing = covjson.referencing
     }
@@ -83,10 +127,12 @@ export default class CoverageCollection {
           coverage.parameters[key] = rootParams[key]
         }
       }
+      let coverageOptions = shallowcopy(covOptions)
+      coverageOptions.baseUrl = getBaseUrl(coverage, this.options.baseUrl)
       if (covjson['@context']) {
         coverage['@context'] = covjson['@context']
       }
-      covs.push(new Coverage(coverage, covOptions))
+      covs.push(new Coverage(coverage, coverageOptions))
     }
 
     /**
@@ -125,6 +171,125 @@ export default class CoverageCollection {
     return new CollectionQuery(this)
   }
 
+  /**
+   * Paging information if this collection is a page of a larger collection on the server,
+   * or undefined if the collection is not paged.
+   *
+   * Pages are linked with the relation types next, prev (or previous), first, and last,
+   * either in a Link header or in the JSON-LD of the document as Hydra properties,
+   * where the total number of coverages of all pages is given with the Hydra totalItems property.
+   *
+   * The next, previous, first, and last properties are undefined if there is no such page,
+   * and otherwise objects <code>{url, load([options])}</code> where load() reads the page
+   * and returns a Promise succeeding with a CoverageCollection.
+   * Its options override those given to {@link read}, for example to pass a signal.
+   * Like external domains and ranges, pages are loaded via the {@link Cache} given in the cache option.
+   *
+   * @example
+   * if (coll.paging && coll.paging.next) {
+   *   coll.paging.next.load().then(function (nextPage) {
+   *     // work with the next page
+   *   })
+   * }
+   * @type {{total: number|undefined, previous: Object, next: Object, first: Object, last: Object}|undefined}
+   */
+  get paging () {
+    let view = getLdValue(this.ld, HYDRA_PREFIX + 'view', this.prefixes, 'view')
+    if (!view || typeof view !== 'object') {
+      view = {}
+    }
+    let paging = {}
+    let paged = false
+    for (let {name, rels, hydra} of PAGE_RELATIONS) {
+      let url
+      for (let rel of rels) {
+        url = url || getLdValue(this.ld, LINKRELPREFIX + rel)
+      }
+      // Hydra page links are in a partial collection view, or directly in the collection in older documents
+      for (let obj of [view, this.ld]) {
+        url = url || getLdValue(obj, HYDRA_PREFIX + hydra, this.prefixes, hydra)
+      }
+      if (url && typeof url === 'object') {
+        url = url['@id']
+      }
+      if (typeof url === 'string') {
+        paging[name] = this._createPage(resolveUrl(this.options.baseUrl, url))
+        paged = true
+      }
+    }
+    let total = getLdValue(this.ld, HYDRA_PREFIX + 'totalItems', this.prefixes, 'totalItems')
+    if (typeof total === 'number') {
+      paging.total = total
+      paged = true
+    }
+    return paged ? paging : undefined
+  }
+
+  _createPage (url) {
+    return {
+      url,
+      load: options => loadPage(url, mergeLoadOptions(this.options, options))
+    }
+  }
+
+  /**
+   * Returns an asynchronous iterator over the coverages of this collection
+   * and of all following pages, which are loaded one after another when the previous page is exhausted,
+   * see {@link CoverageCollection#paging}.
+   * The collection itself is asynchronously iterable in the same way where Symbol.asyncIterator is supported.
+   *
+   * Calls of next() are processed in order, also when made before the Promise of a previous call settled.
+   * Iteration stops at a page whose URL was already loaded during the iteration, so that paging loops end.
+   * If loading a page fails, then that next() call fails with the error and the iteration is done.
+   *
+   * @example
+   * for await (let cov of coll) {
+   *   // work with the coverage
+   * }
+   * @param {Object} [options] Options for loading the following pages, see {@link read}.
+   * @return {Object} An iterator whose next() function returns a Promise succeeding with <code>{value, done}</code>.
+   */
+  iterateCoverages (options) {
+    let page = this
+    let index = 0
+    let visited = new Set()
+    let step = () => {
+      if (!page) {
+        return {value: undefined, done: true}
+      }
+      if (index < page.coverages.length) {
+        return {value: page.coverages[index++], done: false}
+      }
+      let paging = page.paging
+      if (!paging || !paging.next || visited.has(paging.next.url)) {
+        page = null
+        return step()
+      }
+      visited.add(paging.next.url)
+      return paging.next.load(options).then(nextPage => {
+        page = nextPage
+        index = 0
+        return step()
+      }, e => {
+        page = null
+        throw e
+      })
+    }
+    // each call waits for the previous one to settle since they share the iteration state
+    let pending = Promise.resolve()
+    let iterator = {
+      next: () => {
+        let result = pending.then(step)
+        pending = result.catch(() => {})
+        return result
+      }
+    }
+    if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+      iterator[Symbol.asyncIterator] = () => iterator
+    }
+    return iterator
+  }
+
   _exposeLd (covjson) {
     if (!covjson['@context']) {
       // no LD love here...
@@ -137,3 +302,37 @@ export default class CoverageCollection {
     this.ld = JSON.parse(JSON.stringify(copy))
   }
 }
+
+/**
+ * Returns whether the ID of a parameter was generated by a collection and is not part of the document.
+ *
+ * @ignore
+ * @param {Parameter} param
+ * @return {boolean}
+ */
+export function hasGeneratedId (param) {
+  return generatedIds.has(param) && generatedIds.get(param) === param.id
+}
+
+/**
+ * Loads a page of a paged collection via the cache, like domains and ranges.
+ *
+ * @param {string} url The URL of the page.
+ * @param {Object} options The load options, see {@link read}.
+ * @return {Promise<CoverageCollection>}
+ */
+function loadPage (url, options) {
+  return loadCached(url, options).then(result => {
+    let page = transformCovJSON(result.data, result.headers, options, result.url || url)
+    if (page.type !== COVERAGECOLLECTION) {
+      throw new ValidationError('Page of a collection must be of CoverageCollection type', '/type')
+    }
+    return page
+  })
+}
+
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+  CoverageCollection.prototype[Symbol.asyncIterator] = function () {
+    return this.iterateCoverages()
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Discovery and expansion of URL templates for server-side subsetting.
+ *
+ * A coverage advertises subsetting by linking to RFC 6570 URL templates with the relation types
+ * SUBSET_BY_INDEX_REL and SUBSET_BY_VALUE_REL, either as members of its JSON-LD document
+ * (full IRIs or compact IRIs with a prefix from the "@context") or in a Link-Template header.
+ * The template variables are the names of the domain axes.
+ *
+ * @ignore
+ */
+
+import template from 'url-template'
+
+import {API_PREFIX, resolveUrl, getLdValue, getTemplateVariables} from './util.js'
+
+const SUBSET_BY_INDEX_REL = API_PREFIX + 'subsetByIndex'
+const SUBSET_BY_VALUE_REL = API_PREFIX + 'subsetByValue'
+
+/**
+ * Returns the URL template linked from the JSON-LD of a coverage with the given relation type.
+ *
+ * @param {Coverage} cov The coverage.
+ * @param {string} rel The full IRI of the relation type.
+ * @return {string|undefined}
+ */
+function getLinkedTemplate (cov, rel) {
+  let val = getLdValue(cov.ld, rel, cov.prefixes)
+  if (typeof val === 'string') {
+    return val
+  }
+}
+
+/**
+ * Expands a subsetting URL template with the given constraints.
+ *
+ * @param {string} urlTemplate The URL template.
+ * @param {Object} constraints The subsetting constraints by axis name. Constraints with values null or undefined are ignored.
+ * @param {function(constraint): string|undefined} format
+ *   Formats a constraint as variable value, or returns undefined if it cannot be expressed.
+ * @param {string} [baseUrl] The URL to resolve the expanded URL against.
+ * @return {string|undefined} The URL, or undefined if a constraint cannot be expressed with the template.
+ */
+function expandSubsetTemplate (urlTemplate, constraints, format, baseUrl) {
+  let variables = getTemplateVariables(urlTemplate)
+  let values = {}
+  for (let axis of Object.keys(constraints)) {
+    let constraint = constraints[axis]
+    if (constraint === undefined || constraint === null) {
+      continue
+    }
+    let value = format(constraint)
+    if (value === undefined || variables.indexOf(axis) === -1) {
+      return
+    }
+    values[axis] = value
+  }
+  if (Object.keys(values).length === 0) {
+    return
+  }
+  return resolveUrl(baseUrl, template.parse(urlTemplate).expand(values))
+}
+
+/**
+ * Returns the URL for subsetting a coverage by index on the server,
+ * or undefined if the coverage does not advertise it or the constraints cannot be expressed.
+ *
+ * Each axis variable is expanded to "i" for a single index, "start:stop" for a range of indices,
+ * or "start:stop:step" if the step is not 1, where stop is exclusive.
+ *
+ * @param {Coverage} cov The coverage.
+ * @param {Object} constraints The constraints as given to subsetByIndex().
+ * @return {string|undefined}
+ */
+export function getIndexSubsetUrl (cov, constraints) {
+  let urlTemplate = getLinkedTemplate(cov, SUBSET_BY_INDEX_REL)
+  if (!urlTemplate) {
+    return
+  }
+  return expandSubsetTemplate(urlTemplate, constraints, c => {
+    if (typeof c === 'number') {
+      return String(c)
+    }
+    if (typeof c.start !== 'number' || typeof c.stop !== 'number') {
+      return
+    }
+    let step = c.step === undefined ? 1 : c.step
+    return c.start + ':' + c.stop + (step === 1 ? '' : ':' + step)
+  }, cov.options.baseUrl)
+}
+
+/**
+ * Returns the URL for subsetting a coverage by value on the server,
+ * or undefined if the coverage does not advertise it or the constraints cannot be expressed.
+ *
+ * Each axis variable is expanded to the value itself for an exact value,
+ * or to "start/stop" for an extent. Target constraints cannot be expressed.
+ *
+ * @param {Coverage} cov The coverage.
+ * @param {Object} constraints The constraints as given to subsetByValue().
+ * @return {string|undefined}
+ */
+export function getValueSubsetUrl (cov, constraints) {
+  let urlTemplate = getLinkedTemplate(cov, SUBSET_BY_VALUE_REL)
+  if (!urlTemplate) {
+    return
+  }
+  return expandSubsetTemplate(urlTemplate, constraints, c => {
+    if (typeof c === 'number' || typeof c === 'string') {
+      return String(c)
+    }
+    if ('start' in c && 'stop' in c) {
+      return c.start + '/' + c.stop
+    }
+  }, cov.options.baseUrl)
+}
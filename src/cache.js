@@ -0,0 +1,293 @@
+import {loadDeduplicated} from './dedupe.js'
+import {isCredentialHeader} from './http-common.js'
+import {shallowcopy, deepcopy} from './util.js'
+
+const DEFAULT_MAX_SIZE = 100 * 1024 * 1024
+
+/**
+ * An in-memory cache of loaded CoverageJSON documents keyed by URL.
+ *
+ * The size of each document is estimated from its decoded form.
+ * When the total size exceeds the memory budget, the least recently used documents are evicted.
+ * Freshness follows the Cache-Control, Expires, and Last-Modified response headers,
+ * and stale documents are revalidated with conditional requests using ETag and Last-Modified.
+ *
+ * Since documents are keyed by URL only, requests with credential headers like Authorization or Cookie
+ * bypass the cache, and responses that vary by a request header (Vary header) are not stored.
+ *
+ * @example
+ * CovJSON.cache.maxSize = 10 * 1024 * 1024 // 10 MiB
+ * console.log(CovJSON.cache.count + ' documents, approx. ' + CovJSON.cache.size + ' bytes')
+ * CovJSON.cache.clear()
+ */
+export class Cache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxSize=104857600]
+   *   The memory budget in bytes.
+   * @param {number} [options.defaultMaxAge=0]
+   *   The freshness lifetime in milliseconds of documents for which the server did not provide one.
+   */
+  constructor (options = {}) {
+    /**
+     * The memory budget in bytes. Documents larger than this are not cached.
+     *
+     * @type {number}
+     */
+    this.maxSize = 'maxSize' in options ? options.maxSize : DEFAULT_MAX_SIZE
+
+    /**
+     * The freshness lifetime in milliseconds of documents for which the server did not provide one.
+     *
+     * @type {number}
+     */
+    this.defaultMaxAge = options.defaultMaxAge || 0
+
+    this._entries = new Map()
+    this._size = 0
+  }
+
+  /**
+   * The estimated size in bytes of all cached documents.
+   *
+   * @type {number}
+   */
+  get size () {
+    return this._size
+  }
+
+  /**
+   * The number of cached documents.
+   *
+   * @type {number}
+   */
+  get count () {
+    return this._entries.size
+  }
+
+  /**
+   * Returns the URLs of all cached documents, from least to most recently used.
+   *
+   * @return {Array<string>}
+   */
+  keys () {
+    return Array.from(this._entries.keys())
+  }
+
+  /**
+   * Returns whether a document with the given URL is cached, regardless of whether it is stale.
+   *
+   * @param {string} url
+   * @return {boolean}
+   */
+  has (url) {
+    return this._entries.has(url)
+  }
+
+  /**
+   * Removes the document with the given URL from the cache.
+   *
+   * @param {string} url
+   */
+  delete (url) {
+    let entry = this._entries.get(url)
+    if (entry) {
+      this._entries.delete(url)
+      this._size -= entry.size
+    }
+  }
+
+  /**
+   * Removes all documents from the cache.
+   */
+  clear () {
+    this._entries.clear()
+    this._size = 0
+  }
+
+  /**
+   * Returns the cache entry of the given URL and marks it as most recently used.
+   *
+   * @ignore
+   */
+  _get (url) {
+    let entry = this._entries.get(url)
+    if (entry) {
+      // re-insert to move it to the end of the Map iteration order
+      this._entries.delete(url)
+      this._entries.set(url, entry)
+    }
+    return entry
+  }
+
+  /**
+   * @ignore
+   */
+  _set (url, entry) {
+    this.delete(url)
+    if (entry.size > this.maxSize) {
+      return
+    }
+    this._entries.set(url, entry)
+    this._size += entry.size
+    for (let oldUrl of this._entries.keys()) {
+      if (this._size <= this.maxSize) break
+      this.delete(oldUrl)
+    }
+  }
+}
+
+/**
+ * The cache shared by all coverages unless a different one is given with the cache option.
+ *
+ * @type {Cache}
+ */
+export const cache = new Cache()
+
+/**
+ * Like load() but consults the cache given in options.cache, or the shared cache if not given.
+ * Caching is disabled if options.cache is false, and for requests with credential headers
+ * whose responses may differ per user.
+ * Concurrent requests of the same URL are coalesced, see loadDeduplicated().
+ * The cache keeps an unmodified copy of each document and every caller gets its own copy of it
+ * since documents are transformed in place when read.
+ *
+ * @ignore
+ */
+export function loadCached (url, options = {}) {
+  let docCache = options.cache === undefined ? cache : options.cache
+  let requestHeaders = Object.keys(options.headers || {})
+  if (!docCache || requestHeaders.some(isCredentialHeader)) {
+    return loadDeduplicated(url, options)
+  }
+  let now = Date.now()
+  let entry = docCache._get(url)
+  if (entry && now < entry.expires) {
+    return Promise.resolve(toResult(entry))
+  }
+
+  let requestOptions = options
+  if (entry) {
+    requestOptions = shallowcopy(options)
+    requestOptions.headers = shallowcopy(options.headers || {})
+    if (entry.headers['etag']) {
+      requestOptions.headers['If-None-Match'] = entry.headers['etag']
+    }
+    if (entry.headers['last-modified']) {
+      requestOptions.headers['If-Modified-Since'] = entry.headers['last-modified']
+    }
+  }
+
+  return loadDeduplicated(url, requestOptions).then(result => {
+    if (result.status === 304 && entry) {
+      // a 304 response may update the caching headers
+      for (let key of Object.keys(result.headers || {})) {
+        entry.headers[key] = result.headers[key]
+      }
+      entry.expires = getExpiry(entry.headers, now, docCache.defaultMaxAge)
+      if (entry.expires === null) {
+        docCache.delete(url)
+      }
+      return toResult(entry)
+    }
+    let headers = result.headers || {}
+    let expires = getExpiry(headers, now, docCache.defaultMaxAge)
+    let hasValidator = headers['etag'] || headers['last-modified']
+    if (expires !== null && (expires > now || hasValidator) && !variesBy(headers, requestHeaders)) {
+      docCache._set(url, {
+        data: deepcopy(result.data),
+        headers: headers,
+        url: result.url || url,
+        expires,
+        size: estimateSize(result.data)
+      })
+    } else {
+      docCache.delete(url)
+    }
+    return result
+  })
+}
+
+function toResult (entry) {
+  return {
+    data: deepcopy(entry.data),
+    headers: shallowcopy(entry.headers),
+    url: entry.url,
+    status: 200
+  }
+}
+
+/**
+ * Returns the time in milliseconds until which a response is fresh, or null if it must not be stored.
+ * See RFC 7234.
+ */
+function getExpiry (headers, now, defaultMaxAge) {
+  let cacheControl = {}
+  for (let directive of (headers['cache-control'] || '').split(',')) {
+    let [name, value] = directive.trim().toLowerCase().split('=')
+    if (name) {
+      cacheControl[name] = value
+    }
+  }
+  if ('no-store' in cacheControl) {
+    return null
+  }
+  if ('no-cache' in cacheControl) {
+    return now
+  }
+  if ('max-age' in cacheControl) {
+    return now + parseInt(cacheControl['max-age']) * 1000
+  }
+  let date = Date.parse(headers['date']) || now
+  if (headers['expires']) {
+    // invalid dates like "0" mean already expired
+    let expires = Date.parse(headers['expires']) || 0
+    return now + Math.max(expires - date, 0)
+  }
+  let lastModified = Date.parse(headers['last-modified'])
+  if (lastModified) {
+    // heuristic freshness, see RFC 7234 section 4.2.2
+    return now + Math.max(date - lastModified, 0) / 10
+  }
+  return now + defaultMaxAge
+}
+
+/**
+ * Returns whether a response differs depending on its request headers, according to its Vary header.
+ * Vary: * means it may depend on anything, otherwise only the given request headers are relevant.
+ */
+function variesBy (headers, requestHeaders) {
+  let vary = (headers['vary'] || '').split(',').map(name => name.trim().toLowerCase()).filter(name => name)
+  let names = requestHeaders.map(name => name.toLowerCase())
+  return vary.some(name => name === '*' || names.indexOf(name) !== -1)
+}
+
+/**
+ * Returns an estimate of the memory usage in bytes of a decoded document.
+ */
+function estimateSize (obj) {
+  if (obj === null || obj === undefined) {
+    return 8
+  }
+  let type = typeof obj
+  if (type === 'string') {
+    return 2 * obj.length
+  }
+  if (type !== 'object') {
+    return 8
+  }
+  if (ArrayBuffer.isView(obj)) {
+    return obj.byteLength
+  }
+  let size = 0
+  if (Array.isArray(obj)) {
+    for (let i = 0; i < obj.length; i++) {
+      size += estimateSize(obj[i])
+    }
+  } else {
+    for (let key of Object.keys(obj)) {
+      size += 2 * key.length + estimateSize(obj[key])
+    }
+  }
+  return size
+}
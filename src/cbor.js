@@ -0,0 +1,278 @@
+/**
+ * A minimal CBOR decoder (RFC 7049) including support for the typed array tags of RFC 8746.
+ *
+ * Typed arrays are decoded into the corresponding JavaScript typed arrays
+ * (64-bit integers into Float64Array, half-precision floats into Float32Array).
+ * Unknown tags are ignored and the tagged item is returned as is.
+ *
+ * @ignore
+ */
+
+const POW_2_24 = 5.960464477539063e-8
+const POW_2_32 = 4294967296
+
+const BREAK = {}
+
+/**
+ * Decodes a CBOR document.
+ *
+ * @ignore
+ * @param {ArrayBuffer|Uint8Array} data The CBOR-encoded bytes.
+ * @return {*} The decoded value.
+ */
+export function decode (data) {
+  let bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+  let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  let offset = 0
+
+  function readUint8 () {
+    return view.getUint8(offset++)
+  }
+  function readUint16 () {
+    let val = view.getUint16(offset)
+    offset += 2
+    return val
+  }
+  function readUint32 () {
+    let val = view.getUint32(offset)
+    offset += 4
+    return val
+  }
+  function readUint64 () {
+    return readUint32() * POW_2_32 + readUint32()
+  }
+  function readBytes (length) {
+    let val = bytes.subarray(offset, offset + length)
+    offset += length
+    return val
+  }
+  function readLength (additionalInfo) {
+    if (additionalInfo < 24) return additionalInfo
+    if (additionalInfo === 24) return readUint8()
+    if (additionalInfo === 25) return readUint16()
+    if (additionalInfo === 26) return readUint32()
+    if (additionalInfo === 27) return readUint64()
+    if (additionalInfo === 31) return -1
+    throw new Error('Invalid CBOR length encoding')
+  }
+  function readChunks (majorType) {
+    let chunks = []
+    let totalLength = 0
+    for (;;) {
+      let initialByte = readUint8()
+      if (initialByte === 0xff) break
+      if (initialByte >> 5 !== majorType) {
+        throw new Error('Invalid CBOR indefinite-length string chunk')
+      }
+      let chunk = readBytes(readLength(initialByte & 0x1f))
+      chunks.push(chunk)
+      totalLength += chunk.length
+    }
+    let result = new Uint8Array(totalLength)
+    let pos = 0
+    for (let chunk of chunks) {
+      result.set(chunk, pos)
+      pos += chunk.length
+    }
+    return result
+  }
+
+  function readItem () {
+    let initialByte = readUint8()
+    let majorType = initialByte >> 5
+    let additionalInfo = initialByte & 0x1f
+
+    if (majorType === 7) {
+      switch (additionalInfo) {
+        case 20: return false
+        case 21: return true
+        case 22: return null
+        case 23: return undefined
+        case 25: return decodeFloat16(readUint16())
+        case 26: {
+          let val = view.getFloat32(offset)
+          offset += 4
+          return val
+        }
+        case 27: {
+          let val = view.getFloat64(offset)
+          offset += 8
+          return val
+        }
+        case 31: return BREAK
+        default:
+          // unassigned simple values
+          return additionalInfo === 24 ? readUint8() : additionalInfo
+      }
+    }
+
+    let length = readLength(additionalInfo)
+
+    switch (majorType) {
+      case 0: return length
+      case 1: return -1 - length
+      case 2: return length < 0 ? readChunks(majorType) : readBytes(length)
+      case 3: return decodeUtf8(length < 0 ? readChunks(majorType) : readBytes(length))
+      case 4: {
+        let arr = []
+        if (length < 0) {
+          let item
+          while ((item = readItem()) !== BREAK) {
+            arr.push(item)
+          }
+        } else {
+          for (let i = 0; i < length; i++) {
+            arr.push(readItem())
+          }
+        }
+        return arr
+      }
+      case 5: {
+        let obj = {}
+        if (length < 0) {
+          let key
+          while ((key = readItem()) !== BREAK) {
+            obj[key] = readItem()
+          }
+        } else {
+          for (let i = 0; i < length; i++) {
+            let key = readItem()
+            obj[key] = readItem()
+          }
+        }
+        return obj
+      }
+      case 6: {
+        let item = readItem()
+        if (length >= 64 && length <= 87) {
+          return decodeTypedArray(length, item)
+        }
+        return item
+      }
+    }
+  }
+
+  let result = readItem()
+  if (offset !== bytes.length) {
+    throw new Error('Unexpected data after end of CBOR document')
+  }
+  return result
+}
+
+/**
+ * Decodes an RFC 8746 typed array.
+ *
+ * @param {number} tag The tag number between 64 and 87.
+ * @param {Uint8Array} bytes The content of the tagged byte string.
+ * @return {TypedArray}
+ */
+function decodeTypedArray (tag, bytes) {
+  if (!(bytes instanceof Uint8Array)) {
+    throw new Error('CBOR typed array tag ' + tag + ' must wrap a byte string')
+  }
+  let bits = tag - 64
+  let isFloat = (bits & 16) !== 0
+  let isSigned = (bits & 8) !== 0
+  let littleEndian = (bits & 4) !== 0
+  let ll = bits & 3
+
+  if (!isFloat && ll === 0) {
+    // 8 bit integers have no endianness, tag 68 is the clamped variant of uint8
+    if (isSigned) {
+      return new Int8Array(copyBuffer(bytes))
+    }
+    return littleEndian ? new Uint8ClampedArray(copyBuffer(bytes)) : new Uint8Array(copyBuffer(bytes))
+  }
+
+  let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  let byteSize, ArrayType, getter
+  if (isFloat) {
+    if (isSigned || ll === 3) {
+      throw new Error('Unsupported CBOR typed array tag: ' + tag)
+    }
+    byteSize = [2, 4, 8][ll]
+    ArrayType = [Float32Array, Float32Array, Float64Array][ll]
+    getter = [
+      i => decodeFloat16(view.getUint16(i, littleEndian)),
+      i => view.getFloat32(i, littleEndian),
+      i => view.getFloat64(i, littleEndian)
+    ][ll]
+  } else {
+    byteSize = [1, 2, 4, 8][ll]
+    if (ll === 3) {
+      ArrayType = Float64Array
+      let hi = littleEndian ? 4 : 0
+      let lo = littleEndian ? 0 : 4
+      if (isSigned) {
+        getter = i => view.getInt32(i + hi, littleEndian) * POW_2_32 + view.getUint32(i + lo, littleEndian)
+      } else {
+        getter = i => view.getUint32(i + hi, littleEndian) * POW_2_32 + view.getUint32(i + lo, littleEndian)
+      }
+    } else if (isSigned) {
+      ArrayType = ll === 1 ? Int16Array : Int32Array
+      getter = ll === 1 ? i => view.getInt16(i, littleEndian) : i => view.getInt32(i, littleEndian)
+    } else {
+      ArrayType = ll === 1 ? Uint16Array : Uint32Array
+      getter = ll === 1 ? i => view.getUint16(i, littleEndian) : i => view.getUint32(i, littleEndian)
+    }
+  }
+
+  if (bytes.length % byteSize !== 0) {
+    throw new Error('CBOR typed array length must be a multiple of the element size')
+  }
+  let length = bytes.length / byteSize
+  let arr = new ArrayType(length)
+  for (let i = 0; i < length; i++) {
+    arr[i] = getter(i * byteSize)
+  }
+  return arr
+}
+
+function copyBuffer (bytes) {
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+}
+
+function decodeFloat16 (half) {
+  let exp = (half >> 10) & 0x1f
+  let mant = half & 0x3ff
+  let val
+  if (exp === 0) {
+    val = mant * POW_2_24
+  } else if (exp !== 31) {
+    val = (mant + 1024) * Math.pow(2, exp - 25)
+  } else {
+    val = mant === 0 ? Infinity : NaN
+  }
+  return half & 0x8000 ? -val : val
+}
+
+/**
+ * Decodes UTF-8 encoded bytes into a string.
+ *
+ * @ignore
+ * @param {Uint8Array} bytes
+ * @return {string}
+ */
+export function decodeUtf8 (bytes) {
+  if (typeof TextDecoder !== 'undefined') {
+    return new TextDecoder('utf-8').decode(bytes)
+  }
+  let str = ''
+  for (let i = 0; i < bytes.length;) {
+    let c = bytes[i++]
+    if (c >= 0xf0) {
+      c = ((c & 0x07) << 18) | ((bytes[i++] & 0x3f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f)
+    } else if (c >= 0xe0) {
+      c = ((c & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f)
+    } else if (c >= 0xc0) {
+      c = ((c & 0x1f) << 6) | (bytes[i++] & 0x3f)
+    }
+    if (c > 0xffff) {
+      c -= 0x10000
+      str += String.fromCharCode(0xd800 + (c >> 10), 0xdc00 + (c & 0x3ff))
+    } else {
+      str += String.fromCharCode(c)
+    }
+  }
+  return str
+}
@@ -0,0 +1,129 @@
+import {load} from './http.js'
+import {AbortError} from './errors.js'
+import {shallowcopy, deepcopy, createAbortController} from './util.js'
+
+/**
+ * Requests that are currently in progress.
+ * Maps a request key (see getRequestKey()) to an array of request objects
+ * which differ in their loader, fetch, or worker option.
+ */
+const inflight = new Map()
+
+/**
+ * Like load() but coalesces concurrent requests of the same URL with the same headers, eagerload,
+ * credentials, stream, timeout, retry, loader, fetch, and worker options into a single request.
+ * Each caller gets its own copy of the loaded document since documents are transformed in place when read.
+ *
+ * Each caller can abort independently via its own signal. The shared request itself
+ * is only aborted once all callers have aborted.
+ * Progress events of the shared request are passed to the onProgress callbacks of all callers,
+ * and its metadata to the onMetadata callbacks, also of callers that join after the metadata was received.
+ *
+ * @ignore
+ */
+export function loadDeduplicated (url, options = {}) {
+  if (options.signal && options.signal.aborted) {
+    return Promise.reject(new AbortError(url))
+  }
+  let key = getRequestKey(url, options)
+  let requests = inflight.get(key) || []
+  let request = requests.filter(r => r.loader === options.loader && r.fetch === options.fetch &&
+    r.worker === options.worker)[0]
+  if (!request) {
+    request = startRequest(url, options, key)
+  }
+  return addConsumer(request, url, options)
+}
+
+function getRequestKey (url, options) {
+  return url + ' ' + JSON.stringify([options.headers, options.eagerload, options.credentials, options.stream,
+    options.timeout, options.retry])
+}
+
+function startRequest (url, options, key) {
+  let controller = createAbortController()
+  let request = {
+    loader: options.loader,
+    fetch: options.fetch,
+    worker: options.worker,
+    controller,
+    consumers: []
+  }
+  let requestOptions = shallowcopy(options)
+  requestOptions.signal = controller.signal
+  requestOptions.onProgress = e => {
+    for (let consumer of request.consumers) {
+      if (consumer.onProgress) consumer.onProgress(e)
+    }
+  }
+  requestOptions.onMetadata = metadata => {
+    request.metadata = metadata
+    for (let consumer of request.consumers) {
+      if (consumer.onMetadata) consumer.onMetadata(metadata)
+    }
+  }
+  request.promise = load(url, requestOptions).then(result => {
+    // runs before the callers get their results and may transform them
+    request.consumers.forEach((consumer, i) => {
+      consumer.result = i === 0 ? result : copyResult(result)
+    })
+    return result
+  })
+
+  let requests = inflight.get(key) || []
+  requests.push(request)
+  inflight.set(key, requests)
+
+  let done = () => removeRequest(key, request)
+  request.promise.then(done, done)
+  return request
+}
+
+function removeRequest (key, request) {
+  let requests = inflight.get(key)
+  if (!requests) return
+  requests = requests.filter(r => r !== request)
+  if (requests.length === 0) {
+    inflight.delete(key)
+  } else {
+    inflight.set(key, requests)
+  }
+}
+
+function addConsumer (request, url, options) {
+  let key = getRequestKey(url, options)
+  let consumer = {onProgress: options.onProgress, onMetadata: options.onMetadata}
+  request.consumers.push(consumer)
+  if (request.metadata && consumer.onMetadata) {
+    consumer.onMetadata(request.metadata)
+  }
+  let signal = options.signal
+  return new Promise((resolve, reject) => {
+    let onAbort = () => {
+      request.consumers = request.consumers.filter(c => c !== consumer)
+      if (request.consumers.length === 0) {
+        removeRequest(key, request)
+        request.controller.abort()
+      }
+      reject(new AbortError(url))
+    }
+    let removeAbortListener = () => {
+      if (signal) signal.removeEventListener('abort', onAbort)
+    }
+    if (signal) signal.addEventListener('abort', onAbort)
+    request.promise.then(result => {
+      removeAbortListener()
+      resolve(consumer.result || copyResult(result))
+    }, e => {
+      removeAbortListener()
+      reject(e)
+    })
+  })
+}
+
+function copyResult (result) {
+  let copy = shallowcopy(result)
+  copy.data = deepcopy(result.data)
+  copy.headers = shallowcopy(result.headers || {})
+  return copy
+}
@@ -0,0 +1,215 @@
+/**
+ * The base class of all errors thrown by this library.
+ *
+ * @extends {Error}
+ */
+export class CovJSONError {
+  /**
+   * @param {string} message A human-readable description of the error.
+   */
+  constructor (message) {
+    /**
+     * The name of the error class, e.g. "HttpError".
+     *
+     * @type {string}
+     */
+    this.name = 'CovJSONError'
+
+    /**
+     * A human-readable description of the error.
+     *
+     * @type {string}
+     */
+    this.message = message
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, this.constructor)
+    } else {
+      this.stack = new Error(message).stack
+    }
+  }
+}
+// Babel-compiled classes cannot extend built-ins like Error without breaking instanceof,
+// therefore the prototype chain is set up manually.
+Object.setPrototypeOf(CovJSONError.prototype, Error.prototype)
+
+/**
+ * Thrown when a resource could not be loaded on the network level,
+ * e.g. when the server is not reachable or too many redirects occurred.
+ *
+ * Such errors are usually transient and can be retried, see the retry option of {@link load}.
+ */
+export class NetworkError extends CovJSONError {
+  /**
+   * @param {string} url The URL of the resource.
+   * @param {string} [message] A human-readable description of the error.
+   */
+  constructor (url, message) {
+    super(message || 'Network error loading resource at ' + url)
+    this.name = 'NetworkError'
+
+    /**
+     * The URL of the resource.
+     *
+     * @type {string}
+     */
+    this.url = url
+  }
+}
+
+/**
+ * Thrown when the server responded with an HTTP status code indicating an error.
+ *
+ * Only status codes 429 (Too Many Requests) and 5xx are usually worth retrying.
+ */
+export class HttpError extends NetworkError {
+  /**
+   * @param {string} url The URL of the resource.
+   * @param {number} status The HTTP status code.
+   * @param {Object} [headers] The response headers with lower-cased header names as keys.
+   */
+  constructor (url, status, headers = {}) {
+    super(url, 'Loading resource at ' + url + ' failed with HTTP status code ' + status)
+    this.name = 'HttpError'
+
+    /**
+     * The HTTP status code.
+     *
+     * @type {number}
+     */
+    this.status = status
+
+    /**
+     * The response headers with lower-cased header names as keys.
+     *
+     * @type {Object}
+     */
+    this.headers = headers
+  }
+}
+
+/**
+ * Thrown when a request did not complete within the time given in the timeout option of {@link load}.
+ */
+export class TimeoutError extends NetworkError {
+  /**
+   * @param {string} url The URL of the resource.
+   * @param {number} timeout The timeout in milliseconds.
+   */
+  constructor (url, timeout) {
+    super(url, 'Loading resource at ' + url + ' timed out after ' + timeout + 'ms')
+    this.name = 'TimeoutError'
+
+    /**
+     * The timeout in milliseconds.
+     *
+     * @type {number}
+     */
+    this.timeout = timeout
+  }
+}
+
+/**
+ * Thrown when a request was aborted via an AbortSignal.
+ * As with fetch(), the name of the error is "AbortError".
+ */
+export class AbortError extends CovJSONError {
+  /**
+   * @param {string} url The URL of the resource.
+   */
+  constructor (url) {
+    super('Loading resource at ' + url + ' was aborted')
+    this.name = 'AbortError'
+
+    /**
+     * The URL of the resource.
+     *
+     * @type {string}
+     */
+    this.url = url
+  }
+}
+
+/**
+ * Thrown when a loaded resource is not a valid JSON or CBOR document.
+ */
+export class ParseError extends CovJSONError {
+  /**
+   * @param {string} url The URL of the resource.
+   * @param {Error} cause The error thrown by the JSON or CBOR decoder.
+   */
+  constructor (url, cause) {
+    super('Resource at ' + url + ' could not be parsed: ' + cause.message)
+    this.name = 'ParseError'
+
+    /**
+     * The URL of the resource.
+     *
+     * @type {string}
+     */
+    this.url = url
+
+    /**
+     * The error thrown by the JSON or CBOR decoder.
+     *
+     * @type {Error}
+     */
+    this.cause = cause
+  }
+}
+
+/**
+ * Thrown when a document does not conform to the CoverageJSON format.
+ */
+export class ValidationError extends CovJSONError {
+  /**
+   * @param {string} message A human-readable description of the problem.
+   * @param {string} [path=''] The location of the problem as JSON Pointer (RFC 6901).
+   * @param {Array<{path: string, message: string}>} [errors]
+   *   All problems found in the document, if more than one, see {@link validate}.
+   */
+  constructor (message, path = '', errors) {
+    super(path ? message + ' (at ' + path + ')' : message)
+    this.name = 'ValidationError'
+
+    /**
+     * The location of the problem as JSON Pointer (RFC 6901), e.g. "/ranges/TEMP/axisNames".
+     * The pointer is relative to the document in which the problem was found,
+     * which may be a separately loaded domain or range document.
+     * An empty string refers to the whole document.
+     *
+     * @type {string}
+     */
+    this.path = path
+
+    /**
+     * All problems found in the document, including the one described by this error.
+     *
+     * @type {Array<{path: string, message: string}>}
+     */
+    this.errors = errors || [{path, message}]
+  }
+}
+
+/**
+ * Thrown when a document uses a feature that is valid but not supported by this library,
+ * e.g. an unknown range type.
+ */
+export class UnsupportedError extends CovJSONError {
+  /**
+   * @param {string} message A human-readable description of the unsupported feature.
+   */
+  constructor (message) {
+    super(message)
+    this.name = 'UnsupportedError'
+  }
+}
+
+/**
+ * Escapes a key for use as JSON Pointer (RFC 6901) reference token.
+ *
+ * @ignore
+ */
+export function escapeJsonPointer (key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1')
+}
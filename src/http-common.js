@@ -1,7 +1,13 @@
+import {CORE_PREFIX, shallowcopy} from './util.js'
+import {decode as decodeCbor, decodeUtf8} from './cbor.js'
+import {ParseError} from './errors.js'
+import {JsonStreamParser} from './json-stream.js'
+
 export const MEDIATYPE = {
   COVJSON: 'application/prs.coverage+json',
   JSONLD: 'application/ld+json',
   JSON: 'application/json',
+  CBOR: 'application/cbor',
   TEXT: 'text/plain'
 }
 
@@ -9,7 +15,6 @@ export const EXT = {
   COVJSON: '.covjson'
 }
 
-import {CORE_PREFIX} from './util.js'
 export const COVJSON_PROFILE_STANDALONE = CORE_PREFIX + 'standalone'
 
 /**
@@ -21,6 +26,7 @@ export function getAcceptHeader (standalone) {
   let covjsonProfile = standalone ? '; profile="' + COVJSON_PROFILE_STANDALONE + '"' : ''
   let accept =
     MEDIATYPE.COVJSON + covjsonProfile + '; q=1.0, ' +
+    MEDIATYPE.CBOR + '; q=1.0, ' +
     MEDIATYPE.JSONLD + '; q=0.1, ' +
     MEDIATYPE.JSON + '; q=0.1'
   return accept
@@ -39,3 +45,230 @@ export function matchesMediaTypes (mediaType, matchingMediaTypes) {
   }
   return matchingMediaTypes.some(t => mediaType.indexOf(t) === 0)
 }
+
+const CREDENTIAL_HEADER_REGEX = /^(authorization|proxy-authorization|cookie)$|api-?key|token/i
+
+/**
+ * Checks if a request header carries credentials: Authorization, Proxy-Authorization, Cookie,
+ * and custom headers like X-API-Key or X-Auth-Token.
+ *
+ * @param {string} name The header name.
+ * @return {bool} True if the header carries credentials.
+ */
+export function isCredentialHeader (name) {
+  return CREDENTIAL_HEADER_REGEX.test(name)
+}
+
+/**
+ * Names of the options of load() and read() that are also applied when loading documents
+ * referenced from a CoverageJSON document, like external domains, ranges, and tiles.
+ * The signal, onProgress, and onMetadata options are not part of it since they only apply to an individual call.
+ */
+const LOAD_OPTION_NAMES = ['headers', 'eagerload', 'credentials', 'loader', 'fetch', 'cache', 'timeout', 'retry',
+  'strict', 'stream', 'worker', 'tileResolver', 'concurrency', 'tilePriority',
+  'tileSetSelection', 'remoteSubsetting']
+
+/**
+ * Returns a new options object for load() containing the load options of the given options object,
+ * with any given overrides applied on top.
+ * Headers are merged, all other options are replaced.
+ * A signal and onProgress, onMetadata, and onPartialRange callbacks are only taken from the overrides.
+ *
+ * @param {Object} [options] An options object, e.g. as given to read().
+ * @param {Object} [overrides] Options that take precedence.
+ * @return {Object} An options object for load().
+ */
+export function mergeLoadOptions (options = {}, overrides = {}) {
+  let result = {}
+  for (let name of LOAD_OPTION_NAMES) {
+    if (name in overrides) {
+      result[name] = overrides[name]
+    } else if (name in options) {
+      result[name] = options[name]
+    }
+  }
+  if (options.headers && overrides.headers) {
+    result.headers = {}
+    for (let header of Object.keys(options.headers)) {
+      result.headers[header] = options.headers[header]
+    }
+    for (let header of Object.keys(overrides.headers)) {
+      result.headers[header] = overrides.headers[header]
+    }
+  }
+  if (overrides.signal) {
+    result.signal = overrides.signal
+  }
+  if (overrides.onProgress) {
+    result.onProgress = overrides.onProgress
+  }
+  if (overrides.onMetadata) {
+    result.onMetadata = overrides.onMetadata
+  }
+  if (overrides.onPartialRange) {
+    result.onPartialRange = overrides.onPartialRange
+  }
+  return result
+}
+
+const CBOR = 'cbor'
+const JSON_FORMAT = 'json'
+
+// UTF-8 byte order mark
+const BOM = [0xef, 0xbb, 0xbf]
+
+/**
+ * Decodes the body of a response as JSON or CBOR document.
+ *
+ * The format is determined from the Content-Type header. If that is missing or not conclusive
+ * (e.g. application/octet-stream), then the first non-whitespace byte of the body is inspected.
+ *
+ * @param {ArrayBuffer|Uint8Array} body The response body.
+ * @param {string} [contentType] The value of the Content-Type header.
+ * @param {string} url The URL of the response, used in errors.
+ * @return {Object} The decoded document.
+ * @throws {ParseError} if the body is not a valid JSON or CBOR document.
+ */
+export function decodeResponseBody (body, contentType, url) {
+  let bytes = body instanceof Uint8Array ? body : new Uint8Array(body)
+  try {
+    if (detectFormat(bytes, contentType) === CBOR) {
+      return decodeCbor(bytes)
+    } else {
+      return JSON.parse(decodeUtf8(stripByteOrderMark(bytes)))
+    }
+  } catch (e) {
+    throw new ParseError(url, e)
+  }
+}
+
+/**
+ * Creates a decoder which decodes the body of a response incrementally while it is received.
+ *
+ * JSON documents are parsed with {@link JsonStreamParser}, that is, chunks are parsed as they arrive
+ * and numeric "values" arrays are decoded into Float64Arrays, with NaN for null values.
+ * CBOR documents are buffered and decoded at the end.
+ * The format is determined as in decodeResponseBody().
+ *
+ * @param {string} [contentType] The value of the Content-Type header.
+ * @param {string} url The URL of the response, used in errors.
+ * @param {function(metadata: Object)} [onMetadata]
+ *   Called once with all members of the document except "ranges" or "coverages"
+ *   as soon as these have been parsed, or at the end if the document has no such members.
+ * @return {{write: function(chunk: Uint8Array), end: function(): Object}}
+ *   The end() function returns the decoded document and throws a {@link ParseError} if it is invalid.
+ */
+export function createResponseDecoder (contentType, url, onMetadata) {
+  let format
+  let chunks = []
+  let parser
+  let error
+  let metadataSent = false
+  let sendMetadata = doc => {
+    if (onMetadata && !metadataSent) {
+      metadataSent = true
+      onMetadata(doc)
+    }
+  }
+  let write = chunk => {
+    if (error) return
+    try {
+      if (format === JSON_FORMAT) {
+        parser.write(chunk)
+        return
+      }
+      chunks.push(chunk)
+      if (format === CBOR) return
+      let bytes = concat(chunks)
+      format = detectFormat(bytes, contentType)
+      if (format === JSON_FORMAT) {
+        chunks = null
+        parser = new JsonStreamParser({
+          onKey: (key, root) => {
+            if (key === 'ranges' || key === 'coverages') {
+              sendMetadata(shallowcopy(root))
+            }
+          }
+        })
+        parser.write(stripByteOrderMark(bytes))
+      }
+    } catch (e) {
+      error = e
+    }
+  }
+  let end = () => {
+    let data
+    try {
+      if (error) {
+        throw error
+      } else if (format === JSON_FORMAT) {
+        data = parser.end()
+      } else if (format === CBOR) {
+        data = decodeCbor(concat(chunks))
+      } else {
+        // empty or whitespace-only response
+        data = JSON.parse(decodeUtf8(concat(chunks)))
+      }
+    } catch (e) {
+      throw new ParseError(url, e)
+    }
+    sendMetadata(data)
+    return data
+  }
+  return {write, end}
+}
+
+/**
+ * Returns CBOR or JSON_FORMAT, or undefined if the bytes are not sufficient to decide.
+ */
+function detectFormat (bytes, contentType) {
+  if (contentType) {
+    if (matchesMediaTypes(contentType, MEDIATYPE.CBOR)) {
+      return CBOR
+    }
+    if (matchesMediaTypes(contentType, [MEDIATYPE.COVJSON, MEDIATYPE.JSONLD, MEDIATYPE.JSON, MEDIATYPE.TEXT])) {
+      return JSON_FORMAT
+    }
+  }
+  let start = 0
+  if (bytes[0] === BOM[0]) {
+    if (bytes.length < BOM.length && BOM.slice(0, bytes.length).every((b, i) => bytes[i] === b)) {
+      // possibly the start of a UTF-8 byte order mark
+      return
+    }
+    if (hasByteOrderMark(bytes)) {
+      start = BOM.length
+    }
+  }
+  for (let i = start; i < bytes.length; i++) {
+    let b = bytes[i]
+    // space, tab, LF, CR
+    if (b === 0x20 || b === 0x09 || b === 0x0a || b === 0x0d) {
+      continue
+    }
+    // a JSON document starts with an object or array
+    return b === 0x7b || b === 0x5b ? JSON_FORMAT : CBOR
+  }
+}
+
+function hasByteOrderMark (bytes) {
+  return bytes[0] === BOM[0] && bytes[1] === BOM[1] && bytes[2] === BOM[2]
+}
+
+function stripByteOrderMark (bytes) {
+  return hasByteOrderMark(bytes) ? bytes.subarray(BOM.length) : bytes
+}
+
+function concat (chunks) {
+  if (chunks.length === 1) {
+    return chunks[0]
+  }
+  let length = chunks.reduce((sum, chunk) => sum + chunk.length, 0)
+  let bytes = new Uint8Array(length)
+  let offset = 0
+  for (let chunk of chunks) {
+    bytes.set(chunk, offset)
+    offset += chunk.length
+  }
+  return bytes
+}
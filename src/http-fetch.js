@@ -0,0 +1,100 @@
+import {getAcceptHeader, decodeResponseBody, createResponseDecoder} from './http-common.js'
+import {NetworkError, HttpError, AbortError} from './errors.js'
+
+/**
+ * See reader.js#load for docs.
+ *
+ * Implementation based on a WHATWG fetch()-compatible function given in options.fetch.
+ */
+export function load (url, options) {
+  let headers = options.headers || {}
+  let requestHeaders = {
+    'Accept': getAcceptHeader(options.eagerload)
+  }
+  for (let header of Object.keys(headers)) {
+    requestHeaders[header] = headers[header]
+  }
+  let init = {headers: requestHeaders}
+  if (options.credentials) {
+    init.credentials = options.credentials
+  }
+  if (options.signal) {
+    init.signal = options.signal
+  }
+  let fail = () => {
+    if (options.signal && options.signal.aborted) {
+      throw new AbortError(url)
+    }
+    throw new NetworkError(url)
+  }
+  return options.fetch(url, init).then(res => {
+    let responseHeaders = {}
+    res.headers.forEach((value, key) => {
+      responseHeaders[key.toLowerCase()] = value
+    })
+    if (!(res.status >= 200 && res.status < 300 || res.status === 304)) {
+      throw new HttpError(url, res.status, responseHeaders)
+    }
+    let contentType = responseHeaders['content-type']
+    let result = data => ({
+      data,
+      headers: responseHeaders,
+      url: res.url || url,
+      status: res.status
+    })
+    if (res.status === 304) {
+      return result()
+    }
+    if (options.stream) {
+      let decoder = createResponseDecoder(contentType, res.url || url, options.onMetadata)
+      return readBody(res, fail, options.onProgress, chunk => decoder.write(chunk)).then(() => result(decoder.end()))
+    }
+    return readBody(res, fail, options.onProgress).then(body => result(decodeResponseBody(body, contentType, res.url || url)))
+  }, fail)
+}
+
+/**
+ * Reads the body of a fetch() response as ArrayBuffer or Uint8Array.
+ * If a progress or chunk callback is given and the response body is a readable stream,
+ * then the body is read in chunks and progress is reported for each chunk.
+ * If a chunk callback is given, then the chunks are passed to it instead of being collected,
+ * and the promise succeeds without a result.
+ * Errors while reading, e.g. when the connection is lost or the request is aborted, are passed to onError,
+ * which throws the error the promise fails with.
+ */
+function readBody (res, onError, onProgress, onChunk) {
+  if ((!onProgress && !onChunk) || !res.body || !res.body.getReader) {
+    return res.arrayBuffer().catch(onError).then(body => {
+      if (!onChunk) return body
+      onChunk(new Uint8Array(body))
+    })
+  }
+  let contentLength = parseInt(res.headers.get('content-length'))
+  let total = isNaN(contentLength) ? undefined : contentLength
+  let reader = res.body.getReader()
+  let chunks = []
+  let loaded = 0
+  let read = () => reader.read().catch(onError).then(({done, value}) => {
+    if (done) {
+      if (onChunk) return
+      let body = new Uint8Array(loaded)
+      let offset = 0
+      for (let chunk of chunks) {
+        body.set(chunk, offset)
+        offset += chunk.length
+      }
+      return body
+    }
+    if (onChunk) {
+      onChunk(value)
+    } else {
+      chunks.push(value)
+    }
+    loaded += value.length
+    if (onProgress) {
+      onProgress({unit: 'bytes', loaded, total})
+    }
+    return read()
+  })
+  return read()
+}
@@ -0,0 +1,160 @@
+import {getAcceptHeader, decodeResponseBody, createResponseDecoder, isCredentialHeader} from './http-common.js'
+import {NetworkError, HttpError, AbortError, UnsupportedError} from './errors.js'
+
+const MAX_REDIRECTS = 10
+
+/**
+ * See reader.js#load for docs.
+ *
+ * Node.js implementation using the built-in http and https modules.
+ * This module is replaced by an empty module in browser bundles, see the "browser" field in package.json.
+ */
+export function load (url, options = {}) {
+  let headers = options.headers || {}
+  let requestHeaders = {
+    'Accept': getAcceptHeader(options.eagerload)
+  }
+  for (let header of Object.keys(headers)) {
+    requestHeaders[header] = headers[header]
+  }
+  let createDecoder
+  if (options.stream) {
+    createDecoder = (url, res) => createResponseDecoder(res.headers['content-type'], url, options.onMetadata)
+  }
+  return request(url, requestHeaders, 0, options, createDecoder).then(({url, res, body, decoder}) => {
+    let responseHeaders = normalizeResponseHeaders(res.headers)
+    if (!(res.statusCode >= 200 && res.statusCode < 300 || res.statusCode === 304)) {
+      throw new HttpError(url, res.statusCode, responseHeaders)
+    }
+    let data
+    if (res.statusCode !== 304) {
+      data = decoder ? decoder.end() : decodeResponseBody(body, responseHeaders['content-type'], url)
+    }
+    return {
+      data,
+      headers: responseHeaders,
+      url,
+      status: res.statusCode
+    }
+  })
+}
+
+/**
+ * Sends a GET request and follows redirects.
+ *
+ * @param {Object} options The options given to load(), of which signal and onProgress are used here.
+ * @param {function(url: string, res: http.IncomingMessage): Object} [createDecoder]
+ *   If given, the body of a successful response is passed chunk-wise to the decoder returned by this function
+ *   instead of being collected.
+ * @return {Promise} succeeding with an object <code>{url, res, body, decoder}</code> where url is the final URL
+ *   after following redirects, res the http.IncomingMessage, and body a Buffer, or decoder the used decoder.
+ */
+function request (url, headers, redirectCount, options, createDecoder) {
+  let signal = options.signal
+  // lazy load with require() to prevent errors in browser environments
+  let parseUrl = require('url').parse
+  let resolveUrl = require('url').resolve
+  let protocol = parseUrl(url).protocol
+  let transport
+  if (protocol === 'http:') {
+    transport = require('http')
+  } else if (protocol === 'https:') {
+    transport = require('https')
+  } else {
+    return Promise.reject(new UnsupportedError('Unsupported protocol in URL: ' + url))
+  }
+
+  return new Promise((resolve, reject) => {
+    let reqOptions = parseUrl(url)
+    reqOptions.method = 'GET'
+    reqOptions.headers = headers
+    let onAbort = () => {
+      req.abort()
+      reject(new AbortError(url))
+    }
+    let removeAbortListener = () => {
+      if (signal) signal.removeEventListener('abort', onAbort)
+    }
+    let req = transport.request(reqOptions, res => {
+      let status = res.statusCode
+      if ([301, 302, 303, 307, 308].indexOf(status) !== -1 && res.headers['location']) {
+        removeAbortListener()
+        res.resume()
+        if (redirectCount >= MAX_REDIRECTS) {
+          reject(new NetworkError(url, 'Too many redirects loading resource at ' + url))
+          return
+        }
+        let location = resolveUrl(url, res.headers['location'])
+        let redirectHeaders = headers
+        if (getOrigin(location) !== getOrigin(url)) {
+          // like browsers, credentials are not leaked to other hosts or over downgraded connections
+          redirectHeaders = {}
+          for (let header of Object.keys(headers)) {
+            if (!isCredentialHeader(header)) {
+              redirectHeaders[header] = headers[header]
+            }
+          }
+        }
+        resolve(request(location, redirectHeaders, redirectCount + 1, options, createDecoder))
+        return
+      }
+      let chunks = []
+      let decoder
+      if (createDecoder && status >= 200 && status < 300) {
+        decoder = createDecoder(url, res)
+      }
+      let loaded = 0
+      let contentLength = parseInt(res.headers['content-length'])
+      res.on('data', chunk => {
+        if (decoder) {
+          decoder.write(chunk)
+        } else {
+          chunks.push(chunk)
+        }
+        loaded += chunk.length
+        if (options.onProgress) {
+          options.onProgress({
+            unit: 'bytes',
+            loaded,
+            total: isNaN(contentLength) ? undefined : contentLength
+          })
+        }
+      })
+      res.on('end', () => {
+        removeAbortListener()
+        resolve({url, res, body: Buffer.concat(chunks), decoder})
+      })
+      res.on('error', () => {
+        removeAbortListener()
+        reject(new NetworkError(url))
+      })
+    })
+    req.on('error', () => {
+      removeAbortListener()
+      reject(new NetworkError(url))
+    })
+    if (signal) signal.addEventListener('abort', onAbort)
+    req.end()
+  })
+}
+
+/**
+ * Returns the protocol, host, and port of a URL.
+ */
+function getOrigin (url) {
+  let {protocol, host} = require('url').parse(url)
+  return protocol + '//' + host
+}
+
+/**
+ * Node.js already lower-cases header names but exposes some repeated headers as arrays.
+ * This joins them such that the result has the same form as in the browser implementation.
+ */
+function normalizeResponseHeaders (headers) {
+  let result = {}
+  for (let key of Object.keys(headers)) {
+    let val = headers[key]
+    result[key.toLowerCase()] = Array.isArray(val) ? val.join(', ') : val
+  }
+  return result
+}
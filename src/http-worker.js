@@ -0,0 +1,147 @@
+import {CovJSONError, NetworkError, HttpError, TimeoutError, AbortError, ParseError, UnsupportedError} from './errors.js'
+
+/**
+ * The load options which are sent to the worker.
+ * Functions cannot be sent, and timeout and retry are applied on the calling side.
+ */
+const WORKER_OPTION_NAMES = ['headers', 'eagerload', 'credentials', 'stream']
+
+const workerStates = new WeakMap()
+
+/**
+ * See reader.js#load for docs.
+ *
+ * Implementation which delegates loading and parsing to the worker given in options.worker,
+ * which runs the worker.js script.
+ *
+ * Messages sent to the worker:
+ * - <code>{type: 'load', id, url, options, progress}</code> where progress is whether to report progress
+ * - <code>{type: 'abort', id}</code>
+ *
+ * Messages received from the worker:
+ * - <code>{type: 'progress', id, event}</code>
+ * - <code>{type: 'result', id, result}</code> where result is the result of load()
+ * - <code>{type: 'error', id, error}</code> where error is a serialized error, see serializeError()
+ */
+export function load (url, options) {
+  let worker = options.worker
+  let state = getWorkerState(worker)
+  let id = state.nextId++
+  let signal = options.signal
+
+  let workerOptions = {}
+  for (let name of WORKER_OPTION_NAMES) {
+    if (name in options) {
+      workerOptions[name] = options[name]
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    let onAbort = () => {
+      state.requests.delete(id)
+      worker.postMessage({type: 'abort', id})
+      reject(new AbortError(url))
+    }
+    let removeAbortListener = () => {
+      if (signal) signal.removeEventListener('abort', onAbort)
+    }
+    state.requests.set(id, {
+      onProgress: options.onProgress,
+      resolve: result => {
+        removeAbortListener()
+        resolve(result)
+      },
+      reject: e => {
+        removeAbortListener()
+        reject(e)
+      }
+    })
+    if (signal) signal.addEventListener('abort', onAbort)
+    worker.postMessage({type: 'load', id, url, options: workerOptions, progress: !!options.onProgress})
+  })
+}
+
+/**
+ * Returns the outstanding requests of a worker and registers the message listener on first use.
+ */
+function getWorkerState (worker) {
+  let state = workerStates.get(worker)
+  if (state) {
+    return state
+  }
+  state = {
+    nextId: 1,
+    requests: new Map() // id -> {onProgress, resolve, reject}
+  }
+  addMessageListener(worker, msg => {
+    let request = state.requests.get(msg.id)
+    if (!request) {
+      // aborted in the meantime
+      return
+    }
+    if (msg.type === 'progress') {
+      if (request.onProgress) {
+        request.onProgress(msg.event)
+      }
+    } else if (msg.type === 'result') {
+      state.requests.delete(msg.id)
+      request.resolve(msg.result)
+    } else if (msg.type === 'error') {
+      state.requests.delete(msg.id)
+      request.reject(deserializeError(msg.error))
+    }
+  })
+  workerStates.set(worker, state)
+  return state
+}
+
+/**
+ * Registers a listener for messages of a Web Worker, a Node.js Worker, or their counterparts
+ * within the worker (the worker global scope or the parentPort of worker_threads).
+ *
+ * @ignore
+ */
+export function addMessageListener (target, fn) {
+  if (typeof target.on === 'function') {
+    // Node.js worker_threads
+    target.on('message', fn)
+  } else {
+    target.addEventListener('message', e => fn(e.data))
+  }
+}
+
+/**
+ * Converts an error into a plain object that can be sent to another thread.
+ *
+ * @ignore
+ */
+export function serializeError (e) {
+  let obj = {name: e.name, message: e.message}
+  for (let prop of ['url', 'status', 'headers', 'timeout']) {
+    if (prop in e) {
+      obj[prop] = e[prop]
+    }
+  }
+  if (e.cause) {
+    obj.cause = {name: e.cause.name, message: e.cause.message}
+  }
+  return obj
+}
+
+/**
+ * Recreates an error serialized with serializeError() as instance of the original error class.
+ */
+function deserializeError (obj) {
+  switch (obj.name) {
+    case 'HttpError': return new HttpError(obj.url, obj.status, obj.headers)
+    case 'TimeoutError': return new TimeoutError(obj.url, obj.timeout)
+    case 'NetworkError': return new NetworkError(obj.url, obj.message)
+    case 'AbortError': return new AbortError(obj.url)
+    case 'ParseError': return new ParseError(obj.url, obj.cause)
+    case 'UnsupportedError': return new UnsupportedError(obj.message)
+    default:
+      let e = new CovJSONError(obj.message)
+      e.name = obj.name
+      return e
+  }
+}
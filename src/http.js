@@ -1,18 +1,203 @@
-import {getAcceptHeader} from './http-common.js'
+import {getAcceptHeader, decodeResponseBody, createResponseDecoder} from './http-common.js'
+import {NetworkError, HttpError, TimeoutError, AbortError} from './errors.js'
+import {load as loadNode} from './http-node.js'
+import {load as loadFetch} from './http-fetch.js'
+import {load as loadWorker} from './http-worker.js'
+import {shallowcopy, createAbortController} from './util.js'
+
+const DEFAULT_RETRY = {
+  retries: 0,
+  minDelay: 500,
+  maxDelay: 30000,
+  factor: 2
+}
 
 /**
  * See reader.js#load for docs.
  *
- * Browser implementation.
+ * Applies the timeout and retry options around loadOnce().
  */
 export function load (url, options = {}) {
+  if (options.signal && options.signal.aborted) {
+    return Promise.reject(new AbortError(url))
+  }
+  let retry = getRetryOptions(options.retry)
+  let attempt = 1
+  let tryLoad = () => loadWithTimeout(url, options).catch(e => {
+    e.attempts = attempt
+    if (attempt > retry.retries || !isRetryable(e) || (options.signal && options.signal.aborted)) {
+      throw e
+    }
+    let delay = getRetryDelay(e, attempt, retry)
+    attempt++
+    return wait(delay, url, options.signal).then(tryLoad)
+  })
+  return tryLoad()
+}
+
+function getRetryOptions (retry) {
+  let result = shallowcopy(DEFAULT_RETRY)
+  if (typeof retry === 'number') {
+    result.retries = retry
+  } else if (retry) {
+    for (let key of Object.keys(retry)) {
+      result[key] = retry[key]
+    }
+  }
+  return result
+}
+
+/**
+ * Network errors, timeouts, 429 (Too Many Requests), and 5xx server errors are considered transient.
+ */
+function isRetryable (e) {
+  if (e instanceof HttpError) {
+    return e.status === 429 || e.status >= 500
+  }
+  return e instanceof NetworkError
+}
+
+/**
+ * Returns the delay in milliseconds before the next attempt using exponential backoff,
+ * or the delay requested by the server in a Retry-After header.
+ */
+function getRetryDelay (e, attempt, retry) {
+  let delay = retry.minDelay * Math.pow(retry.factor, attempt - 1)
+  let retryAfter = e.headers && e.headers['retry-after']
+  if (retryAfter) {
+    let seconds = Number(retryAfter)
+    if (isNaN(seconds)) {
+      let date = Date.parse(retryAfter)
+      if (!isNaN(date)) {
+        delay = date - Date.now()
+      }
+    } else {
+      delay = seconds * 1000
+    }
+  }
+  return Math.max(0, Math.min(delay, retry.maxDelay))
+}
+
+function wait (delay, url, signal) {
+  return new Promise((resolve, reject) => {
+    let onAbort = () => {
+      clearTimeout(timer)
+      reject(new AbortError(url))
+    }
+    let timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, delay)
+    if (signal) signal.addEventListener('abort', onAbort)
+  })
+}
+
+/**
+ * Calls loadOnce() and fails with a TimeoutError if it does not complete within options.timeout milliseconds.
+ * In that case the request is aborted.
+ */
+function loadWithTimeout (url, options) {
+  if (!options.timeout) {
+    return loadOnce(url, options)
+  }
+  let controller = createAbortController()
+  let signal = options.signal
+  let onAbort = () => controller.abort()
+  if (signal) signal.addEventListener('abort', onAbort)
+  let requestOptions = shallowcopy(options)
+  requestOptions.signal = controller.signal
+
+  return new Promise((resolve, reject) => {
+    let timer = setTimeout(() => {
+      controller.abort()
+      reject(new TimeoutError(url, options.timeout))
+    }, options.timeout)
+    let cleanup = () => {
+      clearTimeout(timer)
+      if (signal) signal.removeEventListener('abort', onAbort)
+    }
+    loadOnce(url, requestOptions).then(result => {
+      cleanup()
+      resolve(result)
+    }, e => {
+      cleanup()
+      reject(e)
+    })
+  })
+}
+
+/**
+ * Calls dispatch() and makes sure that options.onMetadata is called once,
+ * with the whole document if the loader did not call it earlier.
+ */
+function loadOnce (url, options) {
+  if (!options.onMetadata) {
+    return dispatch(url, options)
+  }
+  let onMetadata = options.onMetadata
+  let metadataSent = false
+  options = shallowcopy(options)
+  options.onMetadata = metadata => {
+    metadataSent = true
+    onMetadata(metadata)
+  }
+  return dispatch(url, options).then(result => {
+    if (!metadataSent && result.data !== undefined) {
+      onMetadata(result.data)
+    }
+    return result
+  })
+}
+
+/**
+ * Delegates to options.loader, options.worker, or options.fetch if given, in that order.
+ * Otherwise uses XMLHttpRequest if available, or else the Node.js implementation.
+ * In browser bundles the Node.js implementation is excluded via the "browser" field in package.json.
+ */
+function dispatch (url, options) {
+  if (options.loader) {
+    // remove the loader so that a custom loader can delegate to the default one,
+    // and timeout and retry since they are already handled here
+    let loaderOptions = shallowcopy(options)
+    delete loaderOptions.loader
+    delete loaderOptions.timeout
+    delete loaderOptions.retry
+    return options.loader(url, loaderOptions)
+  }
+  if (options.worker) {
+    return loadWorker(url, options)
+  }
+  if (options.fetch) {
+    return loadFetch(url, options)
+  }
+  if (typeof XMLHttpRequest === 'undefined' && loadNode) {
+    return loadNode(url, options)
+  }
+  return loadXhr(url, options)
+}
+
+/**
+ * Browser implementation.
+ */
+function loadXhr (url, options = {}) {
   let headers = options.headers || {}
+  let signal = options.signal
   return new Promise((resolve, reject) => {
     var req = new XMLHttpRequest()
+    let onAbort = () => {
+      req.abort()
+      reject(new AbortError(url))
+    }
+    let removeAbortListener = () => {
+      if (signal) signal.removeEventListener('abort', onAbort)
+    }
     req.open('GET', url)
-    req.responseType = 'text'
+    req.responseType = 'arraybuffer'
     let accept = getAcceptHeader(options.eagerload)
     req.setRequestHeader('Accept', accept)
+    if (options.credentials === 'include') {
+      req.withCredentials = true
+    }
     if (headers) {
       for (let header of Object.keys(headers)) {
         req.setRequestHeader(header, headers[header])
@@ -20,28 +205,51 @@ export function load (url, options = {}) {
     }
 
     req.addEventListener('load', () => {
+      removeAbortListener()
       try {
+        let responseHeaders = parseResponseHeaders(req.getAllResponseHeaders())
         if (!(req.status >= 200 && req.status < 300 || req.status === 304)) { // as in jquery
-          reject(new Error('Resource "' + url + '" not found, HTTP status code: ' + req.status))
+          reject(new HttpError(url, req.status, responseHeaders))
           return
         }
 
-        let t0 = new Date()
-        let data = JSON.parse(req.response)
-        console.log('JSON decoding: ' + (new Date() - t0) + 'ms')
-        let responseHeaders = parseResponseHeaders(req.getAllResponseHeaders())
+        let data
+        if (req.status !== 304) {
+          let contentType = responseHeaders['content-type']
+          if (options.stream) {
+            // XMLHttpRequest does not give access to partial binary responses, therefore the decoder gets a single chunk
+            let decoder = createResponseDecoder(contentType, req.responseURL || url, options.onMetadata)
+            decoder.write(new Uint8Array(req.response))
+            data = decoder.end()
+          } else {
+            data = decodeResponseBody(req.response, contentType, req.responseURL || url)
+          }
+        }
         resolve({
           data,
-          headers: responseHeaders
+          headers: responseHeaders,
+          url: req.responseURL || url,
+          status: req.status
         })
       } catch (e) {
         reject(e)
       }
     })
+    if (options.onProgress) {
+      req.addEventListener('progress', e => {
+        options.onProgress({
+          unit: 'bytes',
+          loaded: e.loaded,
+          total: e.lengthComputable ? e.total : undefined
+        })
+      })
+    }
     req.addEventListener('error', () => {
-      reject(new Error('Network error loading resource at ' + url))
+      removeAbortListener()
+      reject(new NetworkError(url))
     })
 
+    if (signal) signal.addEventListener('abort', onAbort)
     req.send()
   })
 }
@@ -0,0 +1,310 @@
+/**
+ * An incremental JSON parser which consumes a document in chunks of UTF-8 bytes.
+ *
+ * Compared to JSON.parse() the full document text never has to be held in memory,
+ * and numeric arrays of selected object members (by default "values")
+ * are decoded directly into Float64Arrays instead of arrays of boxed numbers.
+ * null elements are stored as NaN, which cannot occur otherwise in JSON
+ * and is treated as missing value by toTypedValues().
+ * Such arrays fall back to regular arrays with null elements
+ * as soon as a string, boolean, object, or array element is encountered.
+ *
+ * @ignore
+ */
+
+import {decodeUtf8} from './cbor.js'
+
+// parser states of the innermost container
+const KEY_OR_END = 1
+const KEY = 2
+const COLON = 3
+const VALUE = 4
+const VALUE_OR_END = 5
+const COMMA_OR_END = 6
+
+const INITIAL_TYPED_CAPACITY = 64
+
+const NUMBER_REGEX = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/
+
+const QUOTE = 0x22
+const BACKSLASH = 0x5c
+
+const LITERALS = {
+  0x74: ['true', true],
+  0x66: ['false', false],
+  0x6e: ['null', null]
+}
+
+function isWhitespace (c) {
+  return c === 0x20 || c === 0x0a || c === 0x0d || c === 0x09
+}
+
+function isNumberChar (c) {
+  // 0-9 + - . e E
+  return (c >= 0x30 && c <= 0x39) || c === 0x2b || c === 0x2d || c === 0x2e || c === 0x65 || c === 0x45
+}
+
+/**
+ * @ignore
+ */
+export class JsonStreamParser {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.typedArrayKeys=['values']]
+   *   Names of object members whose numeric arrays are decoded into Float64Arrays.
+   * @param {function(key: string, root: Object)} [options.onKey]
+   *   Called when a member key of the root object was read, before its value is parsed.
+   *   The root object then contains all members that were completely parsed so far.
+   */
+  constructor (options = {}) {
+    this._typedArrayKeys = options.typedArrayKeys || ['values']
+    this._onKey = options.onKey
+    this._stack = []
+    this._rest = null
+    this._hasRoot = false
+    this._root = undefined
+  }
+
+  /**
+   * Parses the next chunk of the document.
+   *
+   * @param {Uint8Array} chunk
+   * @throws {SyntaxError} if the document is not valid JSON.
+   */
+  write (chunk) {
+    let bytes = chunk
+    if (this._rest) {
+      bytes = new Uint8Array(this._rest.length + chunk.length)
+      bytes.set(this._rest, 0)
+      bytes.set(chunk, this._rest.length)
+    }
+    let pos = this._parse(bytes, false)
+    // keep an incomplete token at the end of the chunk for the next call
+    this._rest = pos < bytes.length ? bytes.subarray(pos) : null
+  }
+
+  /**
+   * Signals the end of the document and returns the parsed value.
+   *
+   * @return {*}
+   * @throws {SyntaxError} if the document is not valid JSON or incomplete.
+   */
+  end () {
+    if (this._rest) {
+      let rest = this._rest
+      this._rest = null
+      let pos = this._parse(rest, true)
+      if (pos < rest.length) {
+        throw new SyntaxError('Unexpected end of JSON input')
+      }
+    }
+    if (!this._hasRoot || this._stack.length > 0) {
+      throw new SyntaxError('Unexpected end of JSON input')
+    }
+    return this._root
+  }
+
+  /**
+   * Parses as many complete tokens as possible and returns the position of the first unconsumed byte.
+   */
+  _parse (bytes, final) {
+    let n = bytes.length
+    let i = 0
+    while (i < n) {
+      let c = bytes[i]
+      if (isWhitespace(c)) {
+        i++
+        continue
+      }
+      let top = this._stack[this._stack.length - 1]
+      if (c === 0x7b || c === 0x5b) { // { [
+        this._beginValue()
+        let isObject = c === 0x7b
+        let container = {
+          isObject,
+          value: isObject ? {} : [],
+          state: isObject ? KEY_OR_END : VALUE_OR_END
+        }
+        if (!isObject && top && top.isObject && this._typedArrayKeys.indexOf(top.key) !== -1) {
+          container.typed = new Float64Array(INITIAL_TYPED_CAPACITY)
+          container.length = 0
+        }
+        this._stack.push(container)
+        i++
+      } else if (c === 0x7d || c === 0x5d) { // } ]
+        let isObject = c === 0x7d
+        if (!top || top.isObject !== isObject ||
+            (top.state !== COMMA_OR_END && top.state !== (isObject ? KEY_OR_END : VALUE_OR_END))) {
+          throw unexpected(c)
+        }
+        this._stack.pop()
+        this._addValue(top.typed ? finishTypedArray(top) : top.value)
+        i++
+      } else if (c === 0x2c) { // ,
+        if (!top || top.state !== COMMA_OR_END) {
+          throw unexpected(c)
+        }
+        top.state = top.isObject ? KEY : VALUE
+        i++
+      } else if (c === 0x3a) { // :
+        if (!top || top.state !== COLON) {
+          throw unexpected(c)
+        }
+        top.state = VALUE
+        i++
+      } else if (c === QUOTE) {
+        let end = i + 1
+        let escaped = false
+        let ascii = true
+        while (end < n && bytes[end] !== QUOTE) {
+          if (bytes[end] === BACKSLASH) {
+            escaped = true
+            end++
+          } else if (bytes[end] > 0x7f) {
+            ascii = false
+          }
+          end++
+        }
+        if (end >= n) {
+          return i
+        }
+        let str = decodeString(bytes.subarray(i + 1, end), escaped, ascii)
+        if (top && top.isObject && (top.state === KEY_OR_END || top.state === KEY)) {
+          top.key = str
+          top.state = COLON
+          if (this._stack.length === 1 && this._onKey) {
+            this._onKey(str, top.value)
+          }
+        } else {
+          this._beginValue()
+          this._addValue(str)
+        }
+        i = end + 1
+      } else if (c === 0x2d || (c >= 0x30 && c <= 0x39)) { // - 0-9
+        let end = i + 1
+        while (end < n && isNumberChar(bytes[end])) {
+          end++
+        }
+        if (end === n && !final) {
+          return i
+        }
+        this._beginValue()
+        this._addValue(decodeNumber(bytes, i, end))
+        i = end
+      } else if (c in LITERALS) {
+        let [text, value] = LITERALS[c]
+        if (i + text.length > n) {
+          if (final) throw new SyntaxError('Unexpected end of JSON input')
+          return i
+        }
+        for (let j = 1; j < text.length; j++) {
+          if (bytes[i + j] !== text.charCodeAt(j)) {
+            throw unexpected(bytes[i + j])
+          }
+        }
+        this._beginValue()
+        this._addValue(value)
+        i += text.length
+      } else {
+        throw unexpected(c)
+      }
+    }
+    return i
+  }
+
+  /**
+   * Checks that a value may start at the current position.
+   */
+  _beginValue () {
+    let top = this._stack[this._stack.length - 1]
+    if (!top) {
+      if (this._hasRoot) {
+        throw new SyntaxError('Unexpected data after end of JSON document')
+      }
+      return
+    }
+    if (top.state !== VALUE && top.state !== VALUE_OR_END) {
+      throw new SyntaxError('Unexpected value in JSON document')
+    }
+  }
+
+  _addValue (value) {
+    let top = this._stack[this._stack.length - 1]
+    if (!top) {
+      this._root = value
+      this._hasRoot = true
+      return
+    }
+    if (top.isObject) {
+      top.value[top.key] = value
+    } else if (top.typed) {
+      if (typeof value === 'number' || value === null) {
+        if (top.length === top.typed.length) {
+          let grown = new Float64Array(top.typed.length * 2)
+          grown.set(top.typed)
+          top.typed = grown
+        }
+        top.typed[top.length++] = value === null ? NaN : value
+      } else {
+        top.value = toArray(top.typed, top.length)
+        top.typed = null
+        top.value.push(value)
+      }
+    } else {
+      top.value.push(value)
+    }
+    top.state = COMMA_OR_END
+  }
+}
+
+function unexpected (c) {
+  return new SyntaxError('Unexpected token ' + String.fromCharCode(c) + ' in JSON document')
+}
+
+function finishTypedArray (container) {
+  let {typed, length} = container
+  if (length === 0) {
+    return []
+  }
+  if (length === typed.length) {
+    return typed
+  }
+  // copy to release the unused capacity
+  return new Float64Array(typed.buffer.slice(0, length * Float64Array.BYTES_PER_ELEMENT))
+}
+
+function toArray (typed, length) {
+  let arr = new Array(length)
+  for (let i = 0; i < length; i++) {
+    let val = typed[i]
+    arr[i] = isNaN(val) ? null : val
+  }
+  return arr
+}
+
+function decodeString (bytes, escaped, ascii) {
+  if (escaped) {
+    // let JSON.parse() deal with all escape sequences
+    return JSON.parse('"' + decodeUtf8(bytes) + '"')
+  }
+  if (ascii && bytes.length < 64) {
+    let str = ''
+    for (let i = 0; i < bytes.length; i++) {
+      str += String.fromCharCode(bytes[i])
+    }
+    return str
+  }
+  return decodeUtf8(bytes)
+}
+
+function decodeNumber (bytes, start, end) {
+  let str = ''
+  for (let i = start; i < end; i++) {
+    str += String.fromCharCode(bytes[i])
+  }
+  // Number() also accepts forms which are not valid JSON, like 01 or 1.
+  if (!NUMBER_REGEX.test(str)) {
+    throw new SyntaxError('Invalid number ' + str + ' in JSON document')
+  }
+  return Number(str)
+}
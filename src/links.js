@@ -0,0 +1,266 @@
+import {LINKRELPREFIX} from './constants.js'
+import {resolveUrl} from './util.js'
+
+/**
+ * Parses the Link headers of a response and exposes them on a Coverage or CoverageCollection:
+ * as links property with all attributes, see parseLinkHeader(),
+ * and as link relations in its .ld property, mapping the relation type to the target URL.
+ * Links with an anchor parameter have a different context than the document and are not added to .ld.
+ *
+ * URL templates given in a Link-Template header (RFC 9652) are added to .ld in the same way,
+ * resolved against the response URL like the link targets.
+ *
+ * @ignore
+ * @param {Coverage|CoverageCollection} cov
+ * @param {Object} [headers] The HTTP response headers. Keys are lower-cased header names.
+ * @param {string} [url] The URL of the response to resolve relative link targets against.
+ */
+export function addLinkRelations (cov, headers, url) {
+  cov.links = getLinks(headers, url)
+  for (let link of cov.links) {
+    if (link.anchor !== undefined && link.anchor !== url) {
+      continue
+    }
+    for (let rel of link.rel) {
+      addLinkRelation(cov.ld, rel, link.url)
+    }
+  }
+  if (headers && headers['link-template']) {
+    for (let {template, params} of parseLinkTemplates(headers['link-template'], url)) {
+      if (typeof params.rel === 'string') {
+        for (let rel of params.rel.split(/\s+/)) {
+          addLinkRelation(cov.ld, rel, template)
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Returns the links given in the Link headers of a response, see parseLinkHeader().
+ *
+ * @ignore
+ * @param {Object} [headers] The HTTP response headers. Keys are lower-cased header names.
+ * @param {string} [url] The URL of the response to resolve relative link targets against.
+ * @return {Array<Object>}
+ */
+export function getLinks (headers, url) {
+  if (!headers || !headers['link']) {
+    return []
+  }
+  return parseLinkHeader(headers['link'], url)
+}
+
+/**
+ * Parses the value of a Link header as defined in RFC 8288.
+ *
+ * Each link is returned as object <code>{url, rel, anchor, attributes}</code> where url is the link target
+ * and anchor the link context if given, both resolved against the base URL,
+ * rel is an array of relation types (registered ones in lower case),
+ * and attributes maps the names of all other parameters (in lower case) to their values,
+ * e.g. title, type, and media. Parameters given more than once keep their first value,
+ * except hreflang whose values are collected in an array.
+ * Values of extended parameters like title* are decoded (RFC 8187) and take precedence over their plain form.
+ *
+ * @ignore
+ * @param {string} value The header value, which may combine several Link headers separated by commas.
+ * @param {string} [baseUrl] The URL to resolve relative link targets and anchors against.
+ * @return {Array<Object>}
+ */
+export function parseLinkHeader (value, baseUrl) {
+  let links = []
+  let pos = 0
+  let n = value.length
+  let skipWhitespace = () => {
+    while (pos < n && (value[pos] === ' ' || value[pos] === '\t')) pos++
+  }
+  let parseUntil = delimiters => {
+    let start = pos
+    while (pos < n && delimiters.indexOf(value[pos]) === -1) pos++
+    return value.substring(start, pos)
+  }
+  let parseQuotedString = () => {
+    let str = ''
+    pos++ // opening quote
+    while (pos < n && value[pos] !== '"') {
+      if (value[pos] === '\\') pos++
+      str += value.charAt(pos++)
+    }
+    pos++ // closing quote
+    return str
+  }
+  let skipToNextLink = () => {
+    while (pos < n && value[pos] !== ',') {
+      if (value[pos] === '"') {
+        parseQuotedString()
+      } else {
+        pos++
+      }
+    }
+    pos++
+  }
+
+  while (pos < n) {
+    skipWhitespace()
+    if (value[pos] !== '<') {
+      // empty list element or invalid link
+      skipToNextLink()
+      continue
+    }
+    let end = value.indexOf('>', pos)
+    if (end === -1) {
+      break
+    }
+    let target = value.substring(pos + 1, end).trim()
+    pos = end + 1
+    let params = []
+    skipWhitespace()
+    while (value[pos] === ';') {
+      pos++
+      skipWhitespace()
+      let name = parseUntil('=;, \t').toLowerCase()
+      skipWhitespace()
+      let val = ''
+      if (value[pos] === '=') {
+        pos++
+        skipWhitespace()
+        val = value[pos] === '"' ? parseQuotedString() : parseUntil(';, \t')
+      }
+      if (name) {
+        params.push([name, val])
+      }
+      skipWhitespace()
+    }
+    skipToNextLink()
+    links.push(createLink(target, params, baseUrl))
+  }
+  return links
+}
+
+function createLink (target, params, baseUrl) {
+  let link = {url: resolveUrl(baseUrl, target), rel: [], attributes: {}}
+  let hasRel = false
+  let extended = {}
+  for (let [name, val] of params) {
+    if (name === 'rel') {
+      // occurrences after the first one must be ignored
+      if (!hasRel) {
+        link.rel = val.split(/\s+/).filter(rel => rel).map(rel => rel.indexOf(':') === -1 ? rel.toLowerCase() : rel)
+        hasRel = true
+      }
+    } else if (name === 'anchor') {
+      if (link.anchor === undefined) {
+        link.anchor = resolveUrl(baseUrl, val)
+      }
+    } else if (name[name.length - 1] === '*') {
+      let plainName = name.substr(0, name.length - 1)
+      let decoded = decodeExtValue(val)
+      if (decoded !== undefined && !(plainName in extended)) {
+        extended[plainName] = decoded
+      }
+    } else if (name === 'hreflang') {
+      (link.attributes.hreflang = link.attributes.hreflang || []).push(val)
+    } else if (!(name in link.attributes)) {
+      link.attributes[name] = val
+    }
+  }
+  for (let name of Object.keys(extended)) {
+    link.attributes[name] = extended[name]
+  }
+  return link
+}
+
+/**
+ * Decodes an extended parameter value of the form charset'language'value as defined in RFC 8187.
+ *
+ * @param {string} value
+ * @return {string|undefined} The decoded value, or undefined if the value is invalid or its charset unsupported.
+ */
+function decodeExtValue (value) {
+  let match = /^([^']*)'[^']*'(.*)$/.exec(value)
+  if (!match) {
+    return
+  }
+  let charset = match[1].toLowerCase()
+  if (charset === 'utf-8') {
+    try {
+      return decodeURIComponent(match[2])
+    } catch (e) {
+      return
+    }
+  } else if (charset === 'iso-8859-1') {
+    return match[2].replace(/%([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)))
+  }
+}
+
+function addLinkRelation (ld, rel, url) {
+  if (rel.indexOf('http://') !== 0 && rel.indexOf('https://') !== 0) {
+    rel = LINKRELPREFIX + rel
+  }
+  if (ld[rel]) {
+    if (Array.isArray(ld[rel])) {
+      ld[rel].push(url)
+    } else {
+      ld[rel] = [ld[rel], url]
+    }
+  } else {
+    ld[rel] = url
+  }
+}
+
+/**
+ * Parses the value of a Link-Template header, which is a Structured Fields list of strings with parameters,
+ * e.g. <code>"/books/{book_id}"; rel="item", "/search{?q}"; rel="search"</code>.
+ * Items that are not strings are skipped.
+ *
+ * @param {string} value The header value.
+ * @param {string} [baseUrl] The URL to resolve relative templates against.
+ * @return {Array<Object>} An array of <code>{template, params}</code> objects.
+ */
+function parseLinkTemplates (value, baseUrl) {
+  let links = []
+  let pos = 0
+  let skipWhitespace = () => {
+    while (pos < value.length && (value[pos] === ' ' || value[pos] === '\t')) pos++
+  }
+  let parseString = () => {
+    let str = ''
+    pos++ // opening quote
+    while (pos < value.length && value[pos] !== '"') {
+      if (value[pos] === '\\') pos++
+      str += value[pos++]
+    }
+    pos++ // closing quote
+    return str
+  }
+  let parseToken = () => {
+    let start = pos
+    while (pos < value.length && ',;= \t'.indexOf(value[pos]) === -1) pos++
+    return value.substring(start, pos)
+  }
+  while (pos < value.length) {
+    skipWhitespace()
+    let template = value[pos] === '"' ? parseString() : (parseToken(), undefined)
+    let params = {}
+    skipWhitespace()
+    while (value[pos] === ';') {
+      pos++
+      skipWhitespace()
+      let key = parseToken()
+      let val = true
+      if (value[pos] === '=') {
+        pos++
+        val = value[pos] === '"' ? parseString() : parseToken()
+      }
+      params[key] = val
+      skipWhitespace()
+    }
+    if (template !== undefined) {
+      links.push({template: resolveUrl(baseUrl, template), params})
+    }
+    // skip to the next list member
+    while (pos < value.length && value[pos] !== ',') pos++
+    pos++
+  }
+  return links
+}
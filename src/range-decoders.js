@@ -0,0 +1,67 @@
+/**
+ * The registry of decoders for range types other than the built-in NdArray and TiledNdArray types.
+ */
+
+const BUILTIN_RANGE_TYPES = ['NdArray', 'Range', 'TiledNdArray']
+
+const decoders = new Map()
+
+/**
+ * Registers a decoder for an additional range type, e.g. image-encoded ranges or chunked binary stores.
+ * Ranges of that type are then loaded with {@link Coverage#loadRange} like built-in ranges,
+ * and accepted by {@link validate} without further checks.
+ *
+ * The decoder receives the range object as found in the document, with its "type" property equal to the
+ * registered type, and a context object with the following properties:
+ *
+ * - paramKey: the key of the parameter the range belongs to
+ * - domain: the {@link Domain} of the coverage, not subsetted
+ * - constraints: an object with <code>{start, stop, step}</code> index constraints for each axis of the domain,
+ *   stop being exclusive, which the returned range has to be subsetted by
+ * - options: the load options, see {@link Coverage#loadRange}, including a signal for aborting loads
+ * - baseUrl: the URL to resolve relative URLs of the range against, if any
+ *
+ * It returns a {@link Range} object, or a Promise succeeding with one, whose shape equals the
+ * numbers of indices selected by the constraints.
+ *
+ * @example
+ * CovJSON.registerRangeDecoder('ImageRange', function (range, context) {
+ *   return decodePng(range.url, context.constraints).then(function (pixels) {
+ *     return {
+ *       dataType: 'float',
+ *       shape: new Map([['y', pixels.height], ['x', pixels.width]]),
+ *       get: function (obj) { return pixels.get(obj.y || 0, obj.x || 0) }
+ *     }
+ *   })
+ * })
+ * @param {string} type The range type as used in the "type" property of range objects.
+ * @param {function(range: Object, context: Object): Range|Promise<Range>} decoder
+ *   The decoder function for ranges of that type.
+ * @throws {TypeError} if the type is one of the built-in range types.
+ */
+export function registerRangeDecoder (type, decoder) {
+  if (BUILTIN_RANGE_TYPES.indexOf(type) !== -1) {
+    throw new TypeError('The built-in range type ' + type + ' cannot be replaced')
+  }
+  decoders.set(type, decoder)
+}
+
+/**
+ * Removes the decoder of a range type registered with {@link registerRangeDecoder}.
+ *
+ * @param {string} type The range type.
+ */
+export function unregisterRangeDecoder (type) {
+  decoders.delete(type)
+}
+
+/**
+ * Returns the decoder registered for a range type, or undefined if there is none.
+ *
+ * @param {string} type The range type.
+ * @return {function|undefined}
+ * @ignore
+ */
+export function getRangeDecoder (type) {
+  return decoders.get(type)
+}
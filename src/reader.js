@@ -1,8 +1,13 @@
-import {default as Coverage, transformDomain} from './Coverage.js'
-import CoverageCollection from './CoverageCollection.js'
-import {assert} from './util.js'
-import {COVERAGE, COVERAGECOLLECTION, DOMAIN, LINKRELPREFIX} from './constants.js'
 import * as http from './http.js'
+import {loadDeduplicated} from './dedupe.js'
+import {transformCovJSON} from './transform.js'
+
+export {Cache, cache} from './cache.js'
+export {validate} from './validate.js'
+export {write} from './writer.js'
+export {registerRangeDecoder, unregisterRangeDecoder} from './range-decoders.js'
+export {CovJSONError, NetworkError, HttpError, TimeoutError, AbortError, ParseError, ValidationError,
+  UnsupportedError} from './errors.js'
 
 /**
  * Loads a CoverageJSON document from a given URL and returns a {@link Promise} object
@@ -11,13 +16,63 @@ import * as http from './http.js'
  * @param {string} url The URL to load the CoverageJSON document from.
  * @param {Object} [options] An options object.
  * @param {Object} [options.headers] Additional HTTP headers to send if input is a URL.
+ *   Like in browsers, credential headers like Authorization and Cookie are not sent along redirects to another origin.
  * @param {Object} [options.eagerload]
  *   Request a stand-alone CoverageJSON document (with domain and ranges embedded) if input is a URL.
  *   Note that the server may ignore that preference.
+ * @param {string} [options.credentials]
+ *   Whether to send credentials like cookies, one of 'omit', 'same-origin', or 'include' as in fetch().
+ *   With XMLHttpRequest, 'include' enables withCredentials. Ignored in Node.js.
+ * @param {function(url: string, options: Object): Promise} [options.loader]
+ *   A custom loader function with the same signature and result as this function which is used instead of
+ *   the built-in HTTP implementation. The loader receives all options except the loader itself and the timeout
+ *   and retry options, which are applied around the loader, and can therefore delegate to this function,
+ *   e.g. after adding headers. To take part in retries, a loader fails with {@link HttpError} or {@link NetworkError}.
+ * @param {function(url: string, init: Object): Promise} [options.fetch]
+ *   A WHATWG fetch()-compatible function which is used instead of XMLHttpRequest or the Node.js http module.
+ * @param {Worker} [options.worker]
+ *   A Web Worker or Node.js worker_threads Worker running the worker script of this library
+ *   (<code>covjson-reader.worker.min.js</code> in browsers, <code>lib/worker.js</code> in Node.js)
+ *   which then loads and parses the document instead of the current thread.
+ *   The worker also converts numeric axis and range values to typed arrays and transfers them back without copying,
+ *   leaving little work for the current thread. Functions like fetch cannot be passed to a worker,
+ *   therefore a custom loader takes precedence over the worker, and the worker takes precedence over fetch.
+ *   With a worker, onMetadata receives the whole document once loading finished.
+ * @param {AbortSignal} [options.signal]
+ *   A signal which aborts the request when triggered. The promise then fails with an {@link AbortError}.
+ * @param {function(event: Object)} [options.onProgress]
+ *   A callback which receives download progress events <code>{unit: 'bytes', loaded, total}</code>
+ *   where total is undefined if the size is unknown.
+ * @param {number} [options.timeout]
+ *   The time in milliseconds after which a request attempt is aborted. The attempt then fails with a {@link TimeoutError}.
+ *   By default there is no timeout.
+ * @param {boolean} [options.stream=false]
+ *   If true, then JSON documents are parsed incrementally while they are downloaded instead of after the download
+ *   completed, which reduces memory usage for large documents. Numeric "values" arrays are then returned
+ *   as Float64Arrays with NaN in place of null values.
+ *   Incremental parsing is not possible with XMLHttpRequest, in which case only the latter applies.
+ * @param {function(metadata: Object)} [options.onMetadata]
+ *   A callback which receives the document without its "ranges" or "coverages" members as soon as everything
+ *   before these members was parsed, typically the domain and parameters of a coverage. This allows to show
+ *   information about a large coverage before its range values arrived.
+ *   Without the stream option, if the document has no such members, or with custom loaders that ignore this option,
+ *   it receives the whole document once loading finished.
+ * @param {number|Object} [options.retry]
+ *   The number of times a failed request is retried, or an object <code>{retries, minDelay, maxDelay, factor}</code>.
+ *   Network errors, timeouts, and HTTP status codes 429 and 5xx are retried with exponential backoff,
+ *   starting with minDelay (default 500) milliseconds and multiplying by factor (default 2) after each attempt,
+ *   but waiting at most maxDelay (default 30000) milliseconds. A Retry-After response header takes precedence
+ *   over the computed delay. By default requests are not retried.
  * @return {Promise}
- *   A Promise succeeding with an object <code>{data, headers}</code> where data is the CoverageJSON object
- *   and headers are the HTTP response headers with lower-cased header names as object keys.
- *   The promise fails if the resource at the given URL is not a valid JSON or CBOR document.
+ *   A Promise succeeding with an object <code>{data, headers, url, status}</code> where data is the CoverageJSON object,
+ *   headers are the HTTP response headers with lower-cased header names as object keys,
+ *   url is the URL of the document after following any redirects, and status is the HTTP status code.
+ *   If the status is 304 (Not Modified), then data is undefined.
+ *   A custom loader may omit url and status in which case the requested URL and 200 are assumed.
+ *   The promise fails with an {@link HttpError} if the server responded with an error status code,
+ *   with a {@link NetworkError} if the request failed otherwise, and with a {@link ParseError}
+ *   if the resource at the given URL is not a valid JSON or CBOR document.
+ *   Errors of failed requests additionally have an attempts property with the number of attempts made.
  */
 export function load (url, options) {
   return http.load(url, options)
@@ -29,7 +84,14 @@ export function load (url, options) {
  *
  * Note that if the document references external domain or range documents,
  * then these are not loaded immediately.
- *
+ * Concurrent requests of the same URL, be it of documents, domains, ranges, or tiles,
+ * share a single network request and its parsed result.
+ * Relative URLs of such documents, including tile URL templates, are resolved against
+ * the URL of the document they are contained in (after redirects),
+ * or against the JSON-LD "@base" of the document if given.
+ * When they are loaded later on, the headers, eagerload, credentials, loader, fetch, worker, timeout, retry,
+ * tileResolver, concurrency, tilePriority, and tileSetSelection options given here are applied again,
+ * unless overridden in the individual load calls.
  *
  * @example
  * CovJSON.read('http://example.com/coverage.covjson').then(function (cov) {
@@ -47,102 +109,64 @@ export function load (url, options) {
  * @param {Object} [options.eagerload]
  *   Request a stand-alone CoverageJSON document (with domain and ranges embedded) if input is a URL.
  *   Note that the server may ignore that preference.
+ * @param {string} [options.credentials]
+ *   Whether to send credentials like cookies, see {@link load}.
+ * @param {string} [options.baseUrl]
+ *   The URL to resolve relative URLs against if input is an object.
+ * @param {Cache|boolean} [options.cache]
+ *   The {@link Cache} used for loading external domain, range, and tile documents,
+ *   or false to disable caching. Defaults to the shared {@link cache}.
+ * @param {function(url: string, options: Object): Promise} [options.loader]
+ *   A custom loader function, see {@link load}.
+ *   It is also used for any external domain, range, and tile documents referenced from the document.
+ * @param {function(url: string, init: Object): Promise} [options.fetch]
+ *   A WHATWG fetch()-compatible function, see {@link load}.
+ *   It is also used for any external domain, range, and tile documents referenced from the document.
+ * @param {Worker} [options.worker]
+ *   A worker which loads and parses documents off the current thread, see {@link load}.
+ *   It is also used for any external domain, range, and tile documents referenced from the document.
+ * @param {number} [options.timeout]
+ *   The timeout in milliseconds of each request attempt, see {@link load}.
+ *   It also applies to any external domain, range, and tile documents referenced from the document.
+ * @param {number|Object} [options.retry]
+ *   The retry policy for failed requests, see {@link load}.
+ *   It also applies to any external domain, range, and tile documents referenced from the document.
+ * @param {boolean} [options.strict=false]
+ *   If true, then the document is validated with {@link validate} and reading fails with a {@link ValidationError}
+ *   if it is invalid. External domain and range documents are validated as well when they are loaded.
+ *   By default only basic structural checks are done.
+ * @param {function(request: Object): Promise} [options.tileResolver]
+ *   A function which provides the tiles of TiledNdArray ranges from a local source, see {@link Coverage}.
+ * @param {number} [options.concurrency]
+ *   The maximum number of tiles loaded at the same time per range, see {@link Coverage}.
+ * @param {function(tile: Object): number} [options.tilePriority]
+ *   A function which determines the order in which tiles are loaded, see {@link Coverage}.
+ * @param {number|function(stats: Object): number|Object} [options.tileSetSelection]
+ *   How the tile set of tiled ranges is selected, see {@link Coverage}.
+ * @param {boolean} [options.remoteSubsetting=true]
+ *   Whether subsets are requested from the server if the coverage links to subsetting URL templates,
+ *   see {@link Coverage#subsetByIndex}.
+ * @param {AbortSignal} [options.signal]
+ *   A signal which aborts loading the document if input is a URL, see {@link load}.
+ *   Contrary to the other options it does not apply to loading external domain, range, and tile documents later on.
+ * @param {function(event: Object)} [options.onProgress]
+ *   A callback which receives download progress events if input is a URL, see {@link load}.
+ *   Like the signal option it only applies to loading the document itself.
+ * @param {boolean} [options.stream=false]
+ *   Whether to parse JSON documents incrementally, see {@link load}.
+ *   It also applies to any external domain, range, and tile documents referenced from the document.
+ * @param {function(metadata: Object)} [options.onMetadata]
+ *   A callback which receives the metadata of the document before its range values are loaded, see {@link load}.
+ *   Like the signal option it only applies to loading the document itself.
  * @return {Promise}
  *    A promise object succeeding with a Domain, {@link Coverage}, or {@link CoverageCollection} object,
- *    and failing with an {@link Error} object.
+ *    and failing with a {@link ValidationError} if the document is not valid CoverageJSON,
+ *    or with an error of {@link load} if input is a URL.
  */
 export function read (input, options = {}) {
   if (typeof input === 'object') {
-    return Promise.resolve().then(() => transformCovJSON(input))
+    return Promise.resolve().then(() => transformCovJSON(input, undefined, options, options.baseUrl))
   } else {
-    return load(input, options).then(({data, headers}) => transformCovJSON(data, headers))
-  }
-}
-
-/**
- * Transforms a CoverageJSON object into one or more Coverage objects.
- *
- * @param {object} obj A CoverageJSON object of type Coverage or CoverageCollection.
- * @param {array} headers An optional array of HTTP headers. Keys are lower-cased header names.
- * @return {Coverage|Array of Coverage}
- */
-function transformCovJSON (obj, headers) {
-  checkValidCovJSON(obj)
-  if ([COVERAGE, COVERAGECOLLECTION, DOMAIN].indexOf(obj.type) === -1) {
-    throw new Error('CoverageJSON document must be of Coverage, CoverageCollection, or Domain type')
-  }
-
-  let result
-  if (obj.type === DOMAIN) {
-    transformDomain(obj)
-    result = obj
-  } else if (obj.type === COVERAGE) {
-    result = new Coverage(obj)
-  } else {
-    result = new CoverageCollection(obj)
-  }
-
-  if (obj.type === COVERAGE || obj.type === COVERAGECOLLECTION) {
-    addLinkRelations(result, headers)
-  }
-
-  return result
-}
-
-/**
- * Scans the supplied HTTP headers for Link relations and adds them
- * to the .ld property of the Coverage/CoverageCollection.
- */
-function addLinkRelations (cov, headers) {
-  if (!headers || !headers['link']) {
-    return
-  }
-
-  let ld = cov.ld
-
-  for (let link of headers['link'].split(',')) {
-    link = link.trim()
-    // FIXME this will fail if the URL contains a ";" which is valid (see RFC5988)
-    let parts = link.split(';')
-    let url = parts[0].substr(1, parts[0].length - 2)
-    for (let param of parts.slice(1)) {
-      let relStart = param.indexOf('rel=')
-      if (relStart === -1) {
-        continue
-      }
-      let rel = param.substring(relStart + 5, param.length - 1)
-      if (rel.indexOf('http://') !== 0 && rel.indexOf('https://') !== 0) {
-        rel = LINKRELPREFIX + rel
-      }
-      if (ld[rel]) {
-        if (Array.isArray(ld[rel])) {
-          ld[rel].push(url)
-        } else {
-          ld[rel] = [ld[rel], url]
-        }
-      } else {
-        ld[rel] = url
-      }
-    }
-  }
-}
-
-/**
- * Performs basic structural checks to validate whether a given object is a CoverageJSON object.
- *
- * Note that this method is not comprehensive and should not be used for checking
- * whether an object fully conforms to the CoverageJSON specification.
- *
- * @param obj
- * @throws {Error} when obj is not a valid CoverageJSON document
- */
-function checkValidCovJSON (obj) {
-  assert('type' in obj, '"type" missing')
-  if (obj.type === COVERAGE) {
-    assert('parameters' in obj, '"parameters" missing')
-    assert('domain' in obj, '"domain" missing')
-    assert('ranges' in obj, '"ranges" missing')
-  } else if (obj.type === COVERAGECOLLECTION) {
-    assert(Array.isArray(obj.coverages), '"coverages" must be an array')
+    return loadDeduplicated(input, options).then(({data, headers, url}) => transformCovJSON(data, headers, options, url || input))
   }
 }
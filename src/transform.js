@@ -0,0 +1,77 @@
+import {default as Coverage, transformDomain} from './Coverage.js'
+import CoverageCollection from './CoverageCollection.js'
+import {getBaseUrl} from './util.js'
+import {COVERAGE, COVERAGECOLLECTION, DOMAIN} from './constants.js'
+import {mergeLoadOptions} from './http-common.js'
+import {ValidationError} from './errors.js'
+import {validate, throwIfInvalid} from './validate.js'
+import {addLinkRelations, getLinks} from './links.js'
+
+/**
+ * Transforms a CoverageJSON object into a Domain, Coverage, or CoverageCollection object.
+ * Used by read() and when loading the pages of a collection.
+ *
+ * @ignore
+ * @param {object} obj A CoverageJSON object of type Coverage, CoverageCollection, or Domain.
+ * @param {array} headers An optional array of HTTP headers. Keys are lower-cased header names.
+ * @param {Object} [options] The options passed to read().
+ * @param {string} [url] The URL of the document.
+ * @return {Object|Coverage|CoverageCollection}
+ */
+export function transformCovJSON (obj, headers, options = {}, url) {
+  if (options.strict) {
+    throwIfInvalid(validate(obj))
+  }
+  checkValidCovJSON(obj)
+  if ([COVERAGE, COVERAGECOLLECTION, DOMAIN].indexOf(obj.type) === -1) {
+    throw new ValidationError('CoverageJSON document must be of Coverage, CoverageCollection, or Domain type', '/type')
+  }
+
+  let covOptions = mergeLoadOptions(options)
+  covOptions.baseUrl = getBaseUrl(obj, url)
+
+  let result
+  if (obj.type === DOMAIN) {
+    transformDomain(obj)
+    if (headers) {
+      obj.links = getLinks(headers, url)
+    }
+    result = obj
+  } else if (obj.type === COVERAGE) {
+    result = new Coverage(obj, covOptions)
+  } else {
+    result = new CoverageCollection(obj, covOptions)
+  }
+
+  if (obj.type === COVERAGE || obj.type === COVERAGECOLLECTION) {
+    addLinkRelations(result, headers, url)
+  }
+
+  return result
+}
+
+/**
+ * Performs basic structural checks to validate whether a given object is a CoverageJSON object.
+ *
+ * Note that this method is not comprehensive and should not be used for checking
+ * whether an object fully conforms to the CoverageJSON specification, see {@link validate} for that.
+ *
+ * @param obj
+ * @throws {ValidationError} when obj is not a valid CoverageJSON document
+ */
+function checkValidCovJSON (obj) {
+  let check = (condition, message, path) => {
+    if (!condition) {
+      throw new ValidationError(message, path)
+    }
+  }
+  check(obj !== null && typeof obj === 'object', 'CoverageJSON document must be an object', '')
+  check('type' in obj, '"type" missing', '/type')
+  if (obj.type === COVERAGE) {
+    check('parameters' in obj, '"parameters" missing', '/parameters')
+    check('domain' in obj, '"domain" missing', '/domain')
+    check('ranges' in obj, '"ranges" missing', '/ranges')
+  } else if (obj.type === COVERAGECOLLECTION) {
+    check(Array.isArray(obj.coverages), '"coverages" must be an array', '/coverages')
+  }
+}
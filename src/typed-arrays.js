@@ -0,0 +1,158 @@
+/**
+ * Returns the smallest integer typed array type which can hold all values between min and max,
+ * or undefined if the values exceed the 32-bit integer range.
+ *
+ * @param {number} min The minimum value.
+ * @param {number} max The maximum value.
+ * @return {Function|undefined}
+ */
+function integerArrayType (min, max) {
+  if (min >= 0) {
+    if (max < 0x100) return Uint8Array
+    if (max < 0x10000) return Uint16Array
+    if (max < 0x100000000) return Uint32Array
+  } else {
+    if (min >= -0x80 && max < 0x80) return Int8Array
+    if (min >= -0x8000 && max < 0x8000) return Int16Array
+    if (min >= -0x80000000 && max < 0x80000000) return Int32Array
+  }
+}
+
+/**
+ * Converts the values of a numeric NdArray range into a typed array.
+ *
+ * Float ranges are stored in a Float64Array with missing values as NaN.
+ * Integer ranges are stored in the smallest integer typed array fitting their value range.
+ * Integer typed arrays cannot represent missing values, therefore a separate
+ * validity mask is returned if there are any, with 0 marking a missing value.
+ *
+ * Values which are already typed arrays (e.g. from CBOR or streamed documents) are kept as they are,
+ * except for integer ranges decoded as floats.
+ *
+ * @param {Array|TypedArray} values The range values with null for missing values.
+ * @param {string} dataType The data type of the range.
+ * @return {Object|undefined} An object <code>{values, mask}</code> where mask is undefined
+ *   if no values are missing, or undefined if the values do not match the data type.
+ * @ignore
+ */
+export function toTypedValues (values, dataType) {
+  if (dataType !== 'float' && dataType !== 'integer') {
+    return
+  }
+  let isFloatArray = values instanceof Float32Array || values instanceof Float64Array
+  if (ArrayBuffer.isView(values) && (dataType === 'float' || !isFloatArray)) {
+    return {values}
+  }
+  let len = values.length
+  let isMissing = val => val === null || val === undefined || (typeof val === 'number' && isNaN(val))
+
+  let ArrayType = Float64Array
+  if (dataType === 'integer') {
+    let min = Infinity
+    let max = -Infinity
+    for (let i = 0; i < len; i++) {
+      let val = values[i]
+      if (isMissing(val)) continue
+      if (typeof val !== 'number' || val % 1 !== 0) return
+      if (val < min) min = val
+      if (val > max) max = val
+    }
+    ArrayType = min === Infinity ? Uint8Array : integerArrayType(min, max)
+    if (!ArrayType) return
+  }
+
+  let typed = new ArrayType(len)
+  let mask
+  for (let i = 0; i < len; i++) {
+    let val = values[i]
+    if (isMissing(val)) {
+      if (ArrayType === Float64Array) {
+        typed[i] = NaN
+      } else {
+        if (!mask) {
+          mask = new Uint8Array(len)
+          for (let j = 0; j < len; j++) mask[j] = 1
+        }
+        mask[i] = 0
+      }
+    } else if (typeof val !== 'number') {
+      return
+    } else {
+      typed[i] = val
+    }
+  }
+  return {values: typed, mask}
+}
+
+/**
+ * Returns the packing metadata of an NdArray range in netCDF style, or undefined if there is none.
+ *
+ * Packed values are unpacked as <code>value * scale_factor + add_offset</code>,
+ * and packed values equal to a fill value are missing.
+ *
+ * @param {Object} range An NdArray range with optional scale_factor, add_offset, and _FillValue members,
+ *   where _FillValue is a number or an array of numbers.
+ * @return {Object|undefined} An object <code>{scale, offset, fillValues, scaled}</code> where scaled is
+ *   whether the range has a scale factor or offset, or undefined if the range has no packing metadata.
+ * @ignore
+ */
+export function getPacking (range) {
+  let {scale_factor: scale, add_offset: offset, _FillValue: fill} = range
+  if (scale === undefined && offset === undefined && fill === undefined) {
+    return
+  }
+  return {
+    scale: scale === undefined ? 1 : scale,
+    offset: offset === undefined ? 0 : offset,
+    fillValues: fill === undefined ? [] : [].concat(fill),
+    scaled: scale !== undefined || offset !== undefined
+  }
+}
+
+/**
+ * Marks all values equal to one of the given fill values as missing, see toTypedValues().
+ *
+ * @param {Object} typed An object <code>{values, mask}</code> as returned by toTypedValues().
+ * @param {Array<number>} fillValues The fill values.
+ * @return {Object} An object <code>{values, mask}</code> with a mask created if necessary.
+ * @ignore
+ */
+export function maskFillValues ({values, mask}, fillValues) {
+  if (fillValues.length === 0) {
+    return {values, mask}
+  }
+  let isFloat = values instanceof Float32Array || values instanceof Float64Array
+  let len = values.length
+  for (let i = 0; i < len; i++) {
+    if (fillValues.indexOf(values[i]) === -1) continue
+    if (isFloat) {
+      values[i] = NaN
+    } else {
+      if (!mask) {
+        mask = new Uint8Array(len)
+        for (let j = 0; j < len; j++) mask[j] = 1
+      }
+      mask[i] = 0
+    }
+  }
+  return {values, mask}
+}
+
+/**
+ * Returns the minimum and maximum of typed values, ignoring missing values.
+ *
+ * @param {Object} typed An object <code>{values, mask}</code> as returned by toTypedValues().
+ * @return {Array<number>} The minimum and maximum, or nulls if all values are missing.
+ * @ignore
+ */
+export function typedMinMax ({values, mask}) {
+  let min = Infinity
+  let max = -Infinity
+  for (let i = 0; i < values.length; i++) {
+    let val = values[i]
+    if ((mask && !mask[i]) || isNaN(val)) continue
+    if (val < min) min = val
+    if (val > max) max = val
+  }
+  return min === Infinity ? [null, null] : [min, max]
+}
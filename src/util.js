@@ -1,8 +1,10 @@
+/* global AbortController */
 export {minMax, indicesOfNearest, indexOfNearest} from 'covutils'
 
 const PREFIX = 'https://covjson.org/def/'
 export const CORE_PREFIX = PREFIX + 'core#'
 export const DOMAINTYPES_PREFIX = PREFIX + 'domainTypes#'
+export const API_PREFIX = PREFIX + 'api#'
 
 /**
  * @ignore
@@ -25,6 +27,28 @@ export function shallowcopy (obj) {
   return copy
 }
 
+/**
+ * Returns a deep copy of a decoded JSON or CBOR document, which may contain typed arrays.
+ *
+ * @ignore
+ */
+export function deepcopy (obj) {
+  if (obj === null || typeof obj !== 'object') {
+    return obj
+  }
+  if (Array.isArray(obj)) {
+    return obj.map(deepcopy)
+  }
+  if (ArrayBuffer.isView(obj)) {
+    return new obj.constructor(obj)
+  }
+  let copy = {}
+  for (let key of Object.keys(obj)) {
+    copy[key] = deepcopy(obj[key])
+  }
+  return copy
+}
+
 /**
  * Extracts all the directly included namespaces from the `@context` field,
  * not following remote JSON-LD contexts.
@@ -54,3 +78,221 @@ export function getNamespacePrefixes (doc) {
   }
   return prefixes
 }
+
+/**
+ * Returns the value of a property of a JSON-LD object, given as full IRI,
+ * as compact IRI using one of the given namespace prefixes, or as the given term.
+ * Only the first value of multi-valued properties is returned.
+ *
+ * @ignore
+ * @param {Object} obj A JSON-LD object.
+ * @param {string} iri The full IRI of the property.
+ * @param {Map<string,string>} [prefixes] The namespace prefixes, see getNamespacePrefixes().
+ * @param {string} [term] A term which is mapped to the property by a (remote) context.
+ * @returns {*} The value, or undefined if the object does not have the property.
+ */
+export function getLdValue (obj, iri, prefixes, term) {
+  let keys = [iri]
+  if (prefixes) {
+    for (let [prefix, ns] of prefixes) {
+      if (iri.indexOf(ns) === 0) {
+        keys.push(prefix + ':' + iri.substr(ns.length))
+      }
+    }
+  }
+  if (term) {
+    keys.push(term)
+  }
+  for (let key of keys) {
+    let val = obj[key]
+    if (Array.isArray(val)) {
+      val = val[0]
+    }
+    if (val !== undefined && val !== null) {
+      return val
+    }
+  }
+}
+
+/**
+ * Returns the base URL of a document, that is, the URL the document was loaded from,
+ * or, if given, the JSON-LD "@base" of its "@context" resolved against that URL.
+ *
+ * @ignore
+ * @param {Object} doc A CoverageJSON or JSON-LD document.
+ * @param {string} [documentUrl] The URL the document was loaded from.
+ * @return {string|undefined}
+ */
+export function getBaseUrl (doc, documentUrl) {
+  let context = doc['@context']
+  if (!context) {
+    return documentUrl
+  }
+  if (!Array.isArray(context)) {
+    context = [context]
+  }
+  let baseUrl = documentUrl
+  for (let item of context) {
+    if (item && typeof item['@base'] === 'string') {
+      baseUrl = resolveUrl(documentUrl, item['@base'])
+    }
+  }
+  return baseUrl
+}
+
+const URL_REGEX = /^(?:([^:/?#]+):)?(?:\/\/([^/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/
+
+/**
+ * Resolves a URL reference against a base URL as defined in RFC 3986.
+ *
+ * If the base URL is relative itself, then the result is relative as well.
+ *
+ * @ignore
+ * @param {string} [baseUrl] The base URL. If not given, the URL is returned unchanged.
+ * @param {string} url The absolute or relative URL to resolve.
+ * @return {string} The resolved URL.
+ */
+export function resolveUrl (baseUrl, url) {
+  if (!baseUrl) {
+    return url
+  }
+  let [, scheme, authority, path, query, fragment] = URL_REGEX.exec(url)
+  let [, baseScheme, baseAuthority, basePath, baseQuery] = URL_REGEX.exec(baseUrl)
+
+  if (scheme === undefined) {
+    scheme = baseScheme
+    if (authority === undefined) {
+      authority = baseAuthority
+      if (path === '') {
+        path = basePath
+        if (query === undefined) {
+          query = baseQuery
+        }
+      } else if (path[0] !== '/') {
+        if (baseAuthority !== undefined && basePath === '') {
+          path = '/' + path
+        } else {
+          path = basePath.substr(0, basePath.lastIndexOf('/') + 1) + path
+        }
+      }
+    }
+  }
+  path = removeDotSegments(path)
+
+  let result = ''
+  if (scheme !== undefined) result += scheme + ':'
+  if (authority !== undefined) result += '//' + authority
+  result += path
+  if (query !== undefined) result += '?' + query
+  if (fragment !== undefined) result += '#' + fragment
+  return result
+}
+
+function removeDotSegments (path) {
+  let segments = path.split('/')
+  let output = []
+  for (let i = 0; i < segments.length; i++) {
+    let segment = segments[i]
+    if (segment === '.' || segment === '..') {
+      if (segment === '..' && (output.length > 1 || (output.length === 1 && output[0] !== ''))) {
+        output.pop()
+      }
+      if (i === segments.length - 1) {
+        output.push('')
+      }
+    } else {
+      output.push(segment)
+    }
+  }
+  return output.join('/')
+}
+
+/**
+ * Returns the names of the variables of an RFC 6570 URL template,
+ * without operators and value modifiers, in order of appearance.
+ *
+ * @ignore
+ * @param {string} urlTemplate
+ * @return {Array<string>}
+ */
+export function getTemplateVariables (urlTemplate) {
+  let names = []
+  let re = /\{([^}]+)\}/g
+  let match
+  while ((match = re.exec(urlTemplate)) !== null) {
+    let expression = match[1].replace(/^[+#./;?&]/, '')
+    for (let spec of expression.split(',')) {
+      names.push(spec.replace(/(:\d+|\*)$/, ''))
+    }
+  }
+  return names
+}
+
+/**
+ * Returns an AbortController, or a minimal replacement in environments that lack it.
+ *
+ * @ignore
+ */
+export function createAbortController () {
+  if (typeof AbortController !== 'undefined') {
+    return new AbortController()
+  }
+  let listeners = []
+  let signal = {
+    aborted: false,
+    addEventListener: (type, fn) => listeners.push(fn),
+    removeEventListener: (type, fn) => { listeners = listeners.filter(l => l !== fn) }
+  }
+  return {
+    signal,
+    abort: () => {
+      if (signal.aborted) return
+      signal.aborted = true
+      listeners.forEach(fn => fn())
+    }
+  }
+}
+
+/**
+ * Calls an asynchronous function for each item in order, with at most limit calls in progress at a time.
+ * Returns a Promise that succeeds with the results in item order, or fails with the first error,
+ * in which case no further calls are started. Calls already in progress are not awaited,
+ * callers that need to stop them have to abort them themselves.
+ *
+ * @ignore
+ * @param {Array} items
+ * @param {number} limit The maximum number of concurrent calls, at least 1, Infinity for no limit.
+ * @param {function(item: *, index: number): Promise} fn
+ * @returns {Promise<Array>}
+ */
+export function mapLimit (items, limit, fn) {
+  if (!(limit >= 1)) {
+    return Promise.reject(new RangeError('The concurrency limit must be at least 1, got ' + limit))
+  }
+  return new Promise((resolve, reject) => {
+    let results = new Array(items.length)
+    let next = 0
+    let running = 0
+    let failed = false
+    let startNext = () => {
+      if (failed) return
+      if (next === items.length && running === 0) {
+        resolve(results)
+        return
+      }
+      while (running < limit && next < items.length) {
+        let i = next++
+        running++
+        Promise.resolve().then(() => fn(items[i], i)).then(result => {
+          results[i] = result
+          running--
+          startNext()
+        }, e => {
+          failed = true
+          reject(e)
+        })
+      }
+    }
+    startNext()
+  })
+}
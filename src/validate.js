@@ -0,0 +1,908 @@
+import {COVERAGE, COVERAGECOLLECTION, DOMAIN} from './constants.js'
+import {DOMAINTYPES_PREFIX, getTemplateVariables} from './util.js'
+import {ValidationError, escapeJsonPointer} from './errors.js'
+import {getRangeDecoder} from './range-decoders.js'
+
+const RANGE_TYPES = ['NdArray', 'TiledNdArray']
+const LEGACY_RANGE_TYPE = 'Range'
+const DATA_TYPES = ['float', 'integer', 'string']
+const AXIS_DATA_TYPES = ['primitive', 'tuple', 'polygon']
+
+const REQUIRED = {required: true}
+const REQUIRED_SINGLE = {required: true, single: true}
+const OPTIONAL = {}
+const OPTIONAL_SINGLE = {single: true}
+const COMPOSITE_TUPLE = {required: true, dataType: 'tuple'}
+const COMPOSITE_POLYGON = {required: true, dataType: 'polygon'}
+const COMPOSITE_SINGLE_POLYGON = {required: true, single: true, dataType: 'polygon'}
+
+/**
+ * The axes of the common domain types of the CoverageJSON specification.
+ * Axes are required or optional, and may be restricted to a single coordinate value
+ * or a specific axis data type.
+ */
+const DOMAIN_TYPE_AXES = {
+  Grid: {x: REQUIRED, y: REQUIRED, z: OPTIONAL, t: OPTIONAL},
+  VerticalProfile: {x: REQUIRED_SINGLE, y: REQUIRED_SINGLE, z: REQUIRED, t: OPTIONAL_SINGLE},
+  PointSeries: {x: REQUIRED_SINGLE, y: REQUIRED_SINGLE, z: OPTIONAL_SINGLE, t: REQUIRED},
+  Point: {x: REQUIRED_SINGLE, y: REQUIRED_SINGLE, z: OPTIONAL_SINGLE, t: OPTIONAL_SINGLE},
+  MultiPointSeries: {composite: COMPOSITE_TUPLE, t: REQUIRED},
+  MultiPoint: {composite: COMPOSITE_TUPLE, t: OPTIONAL_SINGLE},
+  Trajectory: {composite: COMPOSITE_TUPLE, z: OPTIONAL_SINGLE},
+  Section: {composite: COMPOSITE_TUPLE, z: REQUIRED},
+  Polygon: {composite: COMPOSITE_SINGLE_POLYGON, z: OPTIONAL_SINGLE, t: OPTIONAL_SINGLE},
+  PolygonSeries: {composite: COMPOSITE_SINGLE_POLYGON, z: OPTIONAL_SINGLE, t: REQUIRED},
+  MultiPolygon: {composite: COMPOSITE_POLYGON, z: OPTIONAL_SINGLE, t: OPTIONAL_SINGLE},
+  MultiPolygonSeries: {composite: COMPOSITE_POLYGON, t: REQUIRED}
+}
+
+/**
+ * Validates a CoverageJSON document against the CoverageJSON specification.
+ *
+ * Supported are Coverage, CoverageCollection, and Domain documents, as well as
+ * NdArray and TiledNdArray range documents.
+ * Ranges of types registered with {@link registerRangeDecoder} are accepted without further checks.
+ * Referenced external documents are not loaded, and tiles of tiled ranges are not validated.
+ *
+ * Problems are reported as errors if the document violates the specification,
+ * and as warnings if the document is likely not what was intended or uses
+ * deprecated constructs that are still supported by this library.
+ *
+ * @example
+ * var report = CovJSON.validate(doc)
+ * if (!report.valid) {
+ *   report.errors.forEach(function (e) {
+ *     console.log(e.path + ': ' + e.message)
+ *   })
+ * }
+ * @param {Object} obj The CoverageJSON document.
+ * @return {{valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ *   A validation report where valid is true if there are no errors.
+ *   Each error and warning has a path, which is a JSON Pointer (RFC 6901) to the offending member
+ *   of the document, and a human-readable message.
+ */
+export function validate (obj) {
+  return createReport(ctx => validateDocument(ctx, obj))
+}
+
+/**
+ * Validates a separately loaded domain document of a coverage.
+ *
+ * @ignore
+ * @param {Object} domain The domain document.
+ * @param {Object} [context] The domainType and referencing inherited from the coverage or collection.
+ */
+export function validateDomainDocument (domain, context = {}) {
+  return createReport(ctx => validateDomain(ctx, domain, '', context))
+}
+
+/**
+ * Validates a separately loaded range document of a coverage.
+ *
+ * @ignore
+ * @param {Object} range The range document.
+ * @param {Object} [domain] The domain of the coverage. Its axes may already be transformed into a Map.
+ */
+export function validateRangeDocument (range, domain) {
+  return createReport(ctx => validateRange(ctx, range, '', {domain}))
+}
+
+/**
+ * Throws a ValidationError for the first error of the given validation report, if any.
+ *
+ * @ignore
+ * @throws {ValidationError}
+ */
+export function throwIfInvalid (report) {
+  if (!report.valid) {
+    let first = report.errors[0]
+    throw new ValidationError(first.message, first.path, report.errors)
+  }
+}
+
+function createReport (fn) {
+  let ctx = {
+    errors: [],
+    warnings: [],
+    error: (path, message) => ctx.errors.push({path, message}),
+    warn: (path, message) => ctx.warnings.push({path, message})
+  }
+  fn(ctx)
+  return {
+    valid: ctx.errors.length === 0,
+    errors: ctx.errors,
+    warnings: ctx.warnings
+  }
+}
+
+function isObject (obj) {
+  return obj !== null && typeof obj === 'object' && !Array.isArray(obj)
+}
+
+function isArray (obj) {
+  return Array.isArray(obj) || ArrayBuffer.isView(obj)
+}
+
+function isInteger (v) {
+  return typeof v === 'number' && isFinite(v) && Math.floor(v) === v
+}
+
+function child (path, key) {
+  return path + '/' + escapeJsonPointer(key)
+}
+
+function validateDocument (ctx, obj) {
+  if (!isObject(obj)) {
+    ctx.error('', 'CoverageJSON document must be an object')
+    return
+  }
+  if (!('type' in obj)) {
+    ctx.error('/type', '"type" missing')
+  } else if (obj.type === COVERAGE) {
+    validateCoverage(ctx, obj, '', {})
+  } else if (obj.type === COVERAGECOLLECTION) {
+    validateCollection(ctx, obj, '')
+  } else if (obj.type === DOMAIN) {
+    validateDomain(ctx, obj, '', {})
+  } else if (RANGE_TYPES.indexOf(obj.type) !== -1 || getRangeDecoder(obj.type)) {
+    validateRange(ctx, obj, '', {})
+  } else {
+    ctx.error('/type', 'Unknown document type: ' + obj.type)
+  }
+}
+
+function validateCollection (ctx, coll, path) {
+  if (coll.parameters !== undefined) {
+    validateParameters(ctx, coll.parameters, child(path, 'parameters'))
+  }
+  if (coll.referencing !== undefined) {
+    validateReferencingSyntax(ctx, coll.referencing, child(path, 'referencing'))
+  }
+  validateDomainTypeSyntax(ctx, coll.domainType, child(path, 'domainType'))
+  if (!Array.isArray(coll.coverages)) {
+    ctx.error(child(path, 'coverages'), '"coverages" must be an array')
+    return
+  }
+  let inherited = {
+    parameters: isObject(coll.parameters) ? coll.parameters : undefined,
+    referencing: coll.referencing,
+    domainType: coll.domainType
+  }
+  coll.coverages.forEach((cov, i) => {
+    let covPath = child(child(path, 'coverages'), i)
+    if (!isObject(cov) || cov.type !== COVERAGE) {
+      ctx.error(child(covPath, 'type'), 'Collection members must be of type "Coverage"')
+      return
+    }
+    validateCoverage(ctx, cov, covPath, inherited)
+  })
+}
+
+function validateCoverage (ctx, cov, path, inherited) {
+  validateDomainTypeSyntax(ctx, cov.domainType, child(path, 'domainType'))
+  let domainType = cov.domainType || inherited.domainType
+
+  let domain = cov.domain
+  if (domain === undefined) {
+    ctx.error(child(path, 'domain'), '"domain" missing')
+  } else if (isObject(domain)) {
+    validateDomain(ctx, domain, child(path, 'domain'), {domainType, referencing: inherited.referencing})
+  } else if (typeof domain !== 'string') {
+    ctx.error(child(path, 'domain'), '"domain" must be an object or a URL')
+  }
+
+  if (cov.parameters !== undefined) {
+    validateParameters(ctx, cov.parameters, child(path, 'parameters'))
+  } else if (!inherited.parameters) {
+    ctx.error(child(path, 'parameters'), '"parameters" missing')
+  }
+  // coverages of a collection may use any subset of the collection parameters,
+  // but must have a range for each of their own parameters
+  let ownParameters = isObject(cov.parameters) ? cov.parameters : {}
+  let parameters = {}
+  for (let params of [inherited.parameters || {}, ownParameters]) {
+    for (let key of Object.keys(params)) {
+      parameters[key] = params[key]
+    }
+  }
+
+  if (!isObject(cov.ranges)) {
+    ctx.error(child(path, 'ranges'), '"ranges" missing or not an object')
+  } else {
+    let rangesPath = child(path, 'ranges')
+    for (let key of Object.keys(cov.ranges)) {
+      let range = cov.ranges[key]
+      let rangePath = child(rangesPath, key)
+      if (!(key in parameters)) {
+        ctx.error(rangePath, 'No parameter found for range "' + key + '"')
+      }
+      if (isObject(range)) {
+        validateRange(ctx, range, rangePath, {
+          domain: isObject(domain) ? domain : undefined,
+          parameter: isObject(parameters[key]) ? parameters[key] : undefined
+        })
+      } else if (typeof range !== 'string') {
+        ctx.error(rangePath, 'Range must be an object or a URL')
+      }
+    }
+    for (let key of Object.keys(ownParameters)) {
+      if (!(key in cov.ranges)) {
+        ctx.error(child(rangesPath, key), 'Range missing for parameter "' + key + '"')
+      }
+    }
+  }
+
+  if (cov.parameterGroups !== undefined) {
+    validateParameterGroups(ctx, cov.parameterGroups, child(path, 'parameterGroups'), parameters)
+  }
+}
+
+function validateDomainTypeSyntax (ctx, domainType, path) {
+  if (domainType !== undefined && typeof domainType !== 'string') {
+    ctx.error(path, '"domainType" must be a string')
+  }
+}
+
+function validateDomain (ctx, domain, path, context) {
+  if (!isObject(domain)) {
+    ctx.error(path, 'Domain must be an object')
+    return
+  }
+  if (domain.type !== DOMAIN) {
+    ctx.error(child(path, 'type'), '"type" must be "Domain"')
+  }
+  validateDomainTypeSyntax(ctx, domain.domainType, child(path, 'domainType'))
+  let axesPath = child(path, 'axes')
+  let axes = domain.axes
+  if (!isObject(axes)) {
+    ctx.error(axesPath, '"axes" missing or not an object')
+    return
+  }
+  let axisKeys = Object.keys(axes)
+  if (axisKeys.length === 0) {
+    ctx.error(axesPath, '"axes" must not be empty')
+  }
+  for (let key of axisKeys) {
+    validateAxis(ctx, axes[key], child(axesPath, key), key)
+  }
+
+  let domainType = domain.domainType || context.domainType
+  if (typeof domainType === 'string') {
+    validateDomainTypeAxes(ctx, domainType, axes, path)
+  }
+
+  if (domain.rangeAxisOrder !== undefined) {
+    ctx.warn(child(path, 'rangeAxisOrder'), '"rangeAxisOrder" is deprecated, use "axisNames" in the ranges instead')
+  }
+
+  let referencing = domain.referencing
+  let referencingPath = child(path, 'referencing')
+  if (referencing !== undefined) {
+    validateReferencingSyntax(ctx, referencing, referencingPath)
+  } else if (context.referencing !== undefined) {
+    referencing = context.referencing
+  } else {
+    ctx.error(referencingPath, '"referencing" missing')
+    return
+  }
+  if (Array.isArray(referencing)) {
+    validateReferencingCoverage(ctx, axes, referencing, referencingPath)
+  }
+}
+
+function getAxisSize (axis) {
+  if (!isObject(axis)) {
+    return undefined
+  }
+  if ('num' in axis) {
+    return axis.num
+  }
+  if (axis.values && isArray(axis.values)) {
+    return axis.values.length
+  }
+}
+
+function validateAxis (ctx, axis, path, key) {
+  if (!isObject(axis)) {
+    ctx.error(path, 'Axis must be an object')
+    return
+  }
+  let dataType = axis.dataType || 'primitive'
+  if (AXIS_DATA_TYPES.indexOf(dataType) === -1) {
+    ctx.warn(child(path, 'dataType'), 'Unknown axis data type: ' + dataType)
+  }
+  if (axis.components !== undefined) {
+    ctx.warn(child(path, 'components'), '"components" is deprecated, use "coordinates" instead')
+  }
+  let coordinates = axis.coordinates || axis.components
+  if (coordinates !== undefined && (!Array.isArray(coordinates) || coordinates.some(c => typeof c !== 'string'))) {
+    ctx.error(child(path, 'coordinates'), '"coordinates" must be an array of strings')
+    coordinates = undefined
+  }
+
+  if ('start' in axis || 'stop' in axis || 'num' in axis) {
+    if (dataType !== 'primitive') {
+      ctx.error(path, 'Regular axes must have a primitive data type')
+    }
+    for (let prop of ['start', 'stop']) {
+      if (typeof axis[prop] !== 'number') {
+        ctx.error(child(path, prop), '"' + prop + '" must be a number')
+      }
+    }
+    if (!isInteger(axis.num) || axis.num < 1) {
+      ctx.error(child(path, 'num'), '"num" must be a positive integer')
+    } else if (axis.num === 1 && axis.start !== axis.stop) {
+      ctx.error(path, 'Regular axis of length 1 must have equal start/stop values')
+    }
+    if (axis.values !== undefined) {
+      ctx.error(child(path, 'values'), 'Regular axes must not have "values"')
+    }
+    return
+  }
+
+  let values = axis.values
+  let valuesPath = child(path, 'values')
+  if (!isArray(values) || values.length === 0) {
+    ctx.error(valuesPath, '"values" missing or not a non-empty array')
+    return
+  }
+  if (dataType === 'primitive') {
+    let types = new Set()
+    for (let i = 0; i < values.length; i++) {
+      let v = values[i]
+      if (typeof v !== 'number' && typeof v !== 'string') {
+        ctx.error(child(valuesPath, i), 'Axis values must be numbers or strings')
+        return
+      }
+      types.add(typeof v)
+    }
+    if (types.size > 1) {
+      ctx.error(valuesPath, 'Axis values must be either all numbers or all strings')
+    }
+    if (coordinates && (coordinates.length !== 1 || coordinates[0] !== key)) {
+      ctx.warn(child(path, 'coordinates'), 'Coordinates of a primitive axis should only contain the axis name')
+    }
+    if (axis.bounds !== undefined && (!isArray(axis.bounds) || axis.bounds.length !== 2 * values.length)) {
+      ctx.error(child(path, 'bounds'), '"bounds" must be an array with two values for each axis value')
+    }
+  } else if (dataType === 'tuple' || dataType === 'polygon') {
+    if (!coordinates) {
+      ctx.error(child(path, 'coordinates'), '"coordinates" missing for axis with data type ' + dataType)
+      return
+    }
+    for (let i = 0; i < values.length; i++) {
+      let v = values[i]
+      if (!Array.isArray(v)) {
+        ctx.error(child(valuesPath, i), 'Values of ' + dataType + ' axes must be arrays')
+        return
+      }
+      if (dataType === 'tuple' && v.length !== coordinates.length) {
+        ctx.error(child(valuesPath, i), 'Tuples must have as many elements as the axis has coordinates')
+        return
+      }
+    }
+  }
+}
+
+function validateDomainTypeAxes (ctx, domainType, axes, path) {
+  if (domainType.indexOf(DOMAINTYPES_PREFIX) === 0) {
+    domainType = domainType.substr(DOMAINTYPES_PREFIX.length)
+  } else if (domainType.indexOf(':') !== -1) {
+    // custom domain types are not checked
+    return
+  }
+  let typePath = child(path, 'domainType')
+  let spec = DOMAIN_TYPE_AXES[domainType]
+  if (!spec) {
+    ctx.warn(typePath, 'Unknown domain type: ' + domainType)
+    return
+  }
+  let axesPath = child(path, 'axes')
+  for (let key of Object.keys(spec)) {
+    let axisSpec = spec[key]
+    let axis = axes[key]
+    if (!isObject(axis)) {
+      if (axisSpec.required) {
+        ctx.error(child(axesPath, key), 'Axis "' + key + '" is required by domain type ' + domainType)
+      }
+      continue
+    }
+    if (axisSpec.single && getAxisSize(axis) !== 1) {
+      ctx.error(child(axesPath, key), 'Axis "' + key + '" must have a single value in domain type ' + domainType)
+    }
+    let dataType = axis.dataType || 'primitive'
+    if (axisSpec.dataType && dataType !== axisSpec.dataType) {
+      ctx.error(child(child(axesPath, key), 'dataType'),
+        'Axis "' + key + '" must have data type ' + axisSpec.dataType + ' in domain type ' + domainType)
+    }
+  }
+  for (let key of Object.keys(axes)) {
+    if (!(key in spec)) {
+      ctx.warn(child(axesPath, key), 'Axis "' + key + '" is not part of domain type ' + domainType)
+    }
+  }
+}
+
+function validateReferencingSyntax (ctx, referencing, path) {
+  if (!Array.isArray(referencing)) {
+    ctx.error(path, '"referencing" must be an array')
+    return
+  }
+  referencing.forEach((ref, i) => {
+    let refPath = child(path, i)
+    if (!isObject(ref)) {
+      ctx.error(refPath, 'Referencing entries must be objects')
+      return
+    }
+    if (ref.components !== undefined) {
+      ctx.warn(child(refPath, 'components'), '"components" is deprecated, use "coordinates" instead')
+    }
+    let coordinates = ref.coordinates || ref.components
+    if (!Array.isArray(coordinates) || coordinates.length === 0 || coordinates.some(c => typeof c !== 'string')) {
+      ctx.error(child(refPath, 'coordinates'), '"coordinates" must be a non-empty array of strings')
+    }
+    if (!isObject(ref.system)) {
+      ctx.error(child(refPath, 'system'), '"system" missing or not an object')
+    } else if (typeof ref.system.type !== 'string') {
+      ctx.error(child(child(refPath, 'system'), 'type'), 'Reference system "type" missing')
+    }
+  })
+}
+
+/**
+ * Checks that each coordinate of the domain axes is referenced by exactly one
+ * referencing entry, and that referencing entries only refer to existing coordinates.
+ */
+function validateReferencingCoverage (ctx, axes, referencing, path) {
+  let coordinates = new Set()
+  for (let key of Object.keys(axes)) {
+    let axis = axes[key]
+    let axisCoordinates = isObject(axis) && Array.isArray(axis.coordinates || axis.components)
+      ? (axis.coordinates || axis.components) : [key]
+    for (let coord of axisCoordinates) {
+      coordinates.add(coord)
+    }
+  }
+  let referenced = new Set()
+  referencing.forEach((ref, i) => {
+    let refCoordinates = isObject(ref) && (ref.coordinates || ref.components)
+    if (!Array.isArray(refCoordinates)) {
+      return
+    }
+    refCoordinates.forEach((coord, j) => {
+      let coordPath = child(child(child(path, i), 'coordinates'), j)
+      if (!coordinates.has(coord)) {
+        ctx.error(coordPath, 'Unknown coordinate "' + coord + '"')
+      } else if (referenced.has(coord)) {
+        ctx.error(coordPath, 'Coordinate "' + coord + '" is referenced more than once')
+      }
+      referenced.add(coord)
+    })
+  })
+  for (let coord of coordinates) {
+    if (!referenced.has(coord)) {
+      ctx.error(path, 'Coordinate "' + coord + '" is not referenced by any reference system')
+    }
+  }
+}
+
+function validateI18n (ctx, obj, path, name) {
+  if (typeof obj === 'string') {
+    ctx.warn(path, '"' + name + '" should be an object with language tags as keys, e.g. {"en": "..."}')
+  } else if (!isObject(obj) || Object.keys(obj).some(lang => typeof obj[lang] !== 'string')) {
+    ctx.error(path, '"' + name + '" must be an object mapping language tags to strings')
+  }
+}
+
+function validateParameters (ctx, parameters, path) {
+  if (!isObject(parameters)) {
+    ctx.error(path, '"parameters" must be an object')
+    return
+  }
+  for (let key of Object.keys(parameters)) {
+    validateParameter(ctx, parameters[key], child(path, key))
+  }
+}
+
+function validateParameter (ctx, param, path) {
+  if (!isObject(param)) {
+    ctx.error(path, 'Parameter must be an object')
+    return
+  }
+  if (param.type !== 'Parameter') {
+    ctx.error(child(path, 'type'), '"type" must be "Parameter"')
+  }
+  if (param.label !== undefined) {
+    validateI18n(ctx, param.label, child(path, 'label'), 'label')
+  }
+  if (param.description !== undefined) {
+    validateI18n(ctx, param.description, child(path, 'description'), 'description')
+  }
+
+  let obsProp = param.observedProperty
+  let obsPropPath = child(path, 'observedProperty')
+  let categories
+  if (!isObject(obsProp)) {
+    ctx.error(obsPropPath, '"observedProperty" missing or not an object')
+  } else {
+    if (obsProp.label === undefined) {
+      ctx.error(child(obsPropPath, 'label'), '"label" missing')
+    } else {
+      validateI18n(ctx, obsProp.label, child(obsPropPath, 'label'), 'label')
+    }
+    if (obsProp.categories !== undefined) {
+      categories = validateCategories(ctx, obsProp.categories, child(obsPropPath, 'categories'))
+    }
+  }
+
+  if (param.unit !== undefined) {
+    validateUnit(ctx, param.unit, child(path, 'unit'))
+    if (categories) {
+      ctx.warn(child(path, 'unit'), 'Parameters with categories should not have a unit')
+    }
+  }
+
+  if (param.categoryEncoding !== undefined) {
+    validateCategoryEncoding(ctx, param.categoryEncoding, child(path, 'categoryEncoding'), categories)
+  }
+}
+
+/**
+ * Returns the category IDs, or undefined if the categories are invalid.
+ */
+function validateCategories (ctx, categories, path) {
+  if (!Array.isArray(categories) || categories.length === 0) {
+    ctx.error(path, '"categories" must be a non-empty array')
+    return
+  }
+  let ids = new Set()
+  categories.forEach((cat, i) => {
+    let catPath = child(path, i)
+    if (!isObject(cat)) {
+      ctx.error(catPath, 'Categories must be objects')
+      return
+    }
+    if (typeof cat.id !== 'string') {
+      ctx.error(child(catPath, 'id'), 'Category "id" missing or not a string')
+    } else if (ids.has(cat.id)) {
+      ctx.error(child(catPath, 'id'), 'Duplicate category ID "' + cat.id + '"')
+    } else {
+      ids.add(cat.id)
+    }
+    if (cat.label === undefined) {
+      ctx.error(child(catPath, 'label'), 'Category "label" missing')
+    } else {
+      validateI18n(ctx, cat.label, child(catPath, 'label'), 'label')
+    }
+  })
+  return ids
+}
+
+function validateCategoryEncoding (ctx, encoding, path, categoryIds) {
+  if (!isObject(encoding)) {
+    ctx.error(path, '"categoryEncoding" must be an object')
+    return
+  }
+  if (!categoryIds) {
+    ctx.error(path, '"categoryEncoding" requires categories in the observed property')
+  }
+  let used = new Set()
+  for (let id of Object.keys(encoding)) {
+    let idPath = child(path, id)
+    if (categoryIds && !categoryIds.has(id)) {
+      ctx.error(idPath, 'Unknown category "' + id + '"')
+    }
+    let values = Array.isArray(encoding[id]) ? encoding[id] : [encoding[id]]
+    for (let v of values) {
+      if (!isInteger(v)) {
+        ctx.error(idPath, 'Category encodings must be integers or arrays of integers')
+      } else if (used.has(v)) {
+        ctx.error(idPath, 'Value ' + v + ' is used for more than one category')
+      }
+      used.add(v)
+    }
+  }
+}
+
+function validateUnit (ctx, unit, path) {
+  if (!isObject(unit)) {
+    ctx.error(path, '"unit" must be an object')
+    return
+  }
+  if (unit.label === undefined && unit.symbol === undefined) {
+    ctx.error(path, 'Units must have a "label" or a "symbol"')
+  }
+  if (unit.label !== undefined) {
+    validateI18n(ctx, unit.label, child(path, 'label'), 'label')
+  }
+  let symbol = unit.symbol
+  if (symbol !== undefined && typeof symbol !== 'string') {
+    if (!isObject(symbol) || typeof symbol.value !== 'string' || typeof symbol.type !== 'string') {
+      ctx.error(child(path, 'symbol'), '"symbol" must be a string or an object with "value" and "type" strings')
+    }
+  }
+}
+
+function validateParameterGroups (ctx, groups, path, parameters) {
+  if (!Array.isArray(groups)) {
+    ctx.error(path, '"parameterGroups" must be an array')
+    return
+  }
+  groups.forEach((group, i) => {
+    let groupPath = child(path, i)
+    if (!isObject(group)) {
+      ctx.error(groupPath, 'Parameter groups must be objects')
+      return
+    }
+    if (group.label === undefined && group.observedProperty === undefined) {
+      ctx.error(groupPath, 'Parameter groups must have a "label" or an "observedProperty"')
+    }
+    if (!Array.isArray(group.members) || group.members.length === 0) {
+      ctx.error(child(groupPath, 'members'), '"members" must be a non-empty array')
+      return
+    }
+    group.members.forEach((member, j) => {
+      if (!(member in parameters)) {
+        ctx.error(child(child(groupPath, 'members'), j), 'Unknown parameter "' + member + '"')
+      }
+    })
+  })
+}
+
+/**
+ * Returns a Map from axis name to axis size of a raw or already transformed domain.
+ */
+function getAxisSizes (domain) {
+  let sizes = new Map()
+  if (!domain || !domain.axes) {
+    return sizes
+  }
+  if (domain.axes instanceof Map) {
+    for (let [key, axis] of domain.axes) {
+      sizes.set(key, axis.values.length)
+    }
+  } else if (isObject(domain.axes)) {
+    for (let key of Object.keys(domain.axes)) {
+      sizes.set(key, getAxisSize(domain.axes[key]))
+    }
+  }
+  return sizes
+}
+
+function validateRange (ctx, range, path, {domain, parameter}) {
+  if (!isObject(range)) {
+    ctx.error(path, 'Range must be an object')
+    return
+  }
+  if (range.type === LEGACY_RANGE_TYPE) {
+    ctx.warn(child(path, 'type'), 'Range type "Range" is deprecated, use "NdArray" instead')
+  } else if (getRangeDecoder(range.type)) {
+    // the structure of registered range types is up to their decoders
+    return
+  } else if (RANGE_TYPES.indexOf(range.type) === -1) {
+    ctx.error(child(path, 'type'), 'Range "type" must be one of ' + RANGE_TYPES.join(', '))
+    return
+  }
+  let dataType = range.dataType
+  if (dataType === undefined) {
+    if (range.type === LEGACY_RANGE_TYPE) {
+      ctx.warn(child(path, 'dataType'), '"dataType" missing')
+    } else {
+      ctx.error(child(path, 'dataType'), '"dataType" missing')
+    }
+  } else if (DATA_TYPES.indexOf(dataType) === -1) {
+    ctx.error(child(path, 'dataType'), '"dataType" must be one of ' + DATA_TYPES.join(', '))
+    dataType = undefined
+  }
+  validatePacking(ctx, range, path, dataType)
+
+  let categoryValues
+  if (parameter && isObject(parameter.categoryEncoding)) {
+    if (dataType && dataType !== 'integer') {
+      ctx.error(child(path, 'dataType'), 'Ranges of parameters with a category encoding must have data type integer')
+    }
+    categoryValues = new Set()
+    for (let id of Object.keys(parameter.categoryEncoding)) {
+      let encoded = parameter.categoryEncoding[id]
+      for (let v of Array.isArray(encoded) ? encoded : [encoded]) {
+        categoryValues.add(v)
+      }
+    }
+  }
+
+  let axisSizes = getAxisSizes(domain)
+  let axisNames = range.axisNames
+  // a transformed domain keeps its rangeAxisOrder as _rangeAxisOrder, see transformDomain() in Coverage.js
+  let rangeAxisOrder = domain && (domain._rangeAxisOrder || domain.rangeAxisOrder)
+  if (axisNames === undefined && Array.isArray(rangeAxisOrder)) {
+    axisNames = rangeAxisOrder
+  }
+  let shape = range.shape
+  let shapeValid = validateAxisNamesAndShape(ctx, range, path, axisNames, shape, axisSizes)
+
+  if (range.type === 'TiledNdArray') {
+    if (axisNames === undefined || shape === undefined) {
+      ctx.error(path, 'Tiled ranges must have "axisNames" and "shape"')
+    }
+    if (shapeValid) {
+      validateTileSets(ctx, range.tileSets, child(path, 'tileSets'), axisNames, shape)
+    }
+    return
+  }
+
+  let values = range.values
+  let valuesPath = child(path, 'values')
+  if (!isArray(values)) {
+    ctx.error(valuesPath, '"values" missing or not an array')
+    return
+  }
+  if (shapeValid && shape !== undefined) {
+    let size = shape.reduce((a, b) => a * b, 1)
+    if (values.length !== size) {
+      ctx.error(valuesPath, 'Number of values (' + values.length + ') does not match the shape (' + size + ')')
+    }
+  } else if (shape === undefined && axisSizes.size > 0 && [...axisSizes.values()].every(isInteger)) {
+    let size = [...axisSizes.values()].reduce((a, b) => a * b, 1)
+    if (values.length !== size) {
+      ctx.error(valuesPath, 'Number of values (' + values.length + ') does not match the domain size (' + size + ')')
+    }
+  } else if (shape === undefined && values.length !== 1 && range.type !== LEGACY_RANGE_TYPE) {
+    ctx.error(path, '"axisNames" and "shape" are required if there is more than one value')
+  }
+  if (!ArrayBuffer.isView(values)) {
+    validateRangeValues(ctx, values, valuesPath, dataType, categoryValues)
+  }
+}
+
+/**
+ * Checks the netCDF-style packing metadata (scale_factor, add_offset, _FillValue) of numeric ranges.
+ */
+function validatePacking (ctx, range, path, dataType) {
+  let names = ['scale_factor', 'add_offset', '_FillValue'].filter(name => name in range)
+  if (names.length === 0) {
+    return
+  }
+  if (dataType === 'string') {
+    ctx.warn(child(path, names[0]), 'Packing metadata of string ranges is ignored')
+    return
+  }
+  for (let name of ['scale_factor', 'add_offset']) {
+    if (name in range && (typeof range[name] !== 'number' || !isFinite(range[name]))) {
+      ctx.error(child(path, name), '"' + name + '" must be a finite number')
+    }
+  }
+  let fill = range._FillValue
+  if ('_FillValue' in range && typeof fill !== 'number' && !(isArray(fill) && fill.every(v => typeof v === 'number'))) {
+    ctx.error(child(path, '_FillValue'), '"_FillValue" must be a number or an array of numbers')
+  }
+}
+
+/**
+ * Returns whether the axis names and shape are consistent, such that the shape can be used for further checks.
+ */
+function validateAxisNamesAndShape (ctx, range, path, axisNames, shape, axisSizes) {
+  let valid = true
+  let axisNamesPath = child(path, 'axisNames')
+  let shapePath = child(path, 'shape')
+  if (axisNames !== undefined) {
+    if (!Array.isArray(axisNames) || axisNames.some(n => typeof n !== 'string')) {
+      ctx.error(axisNamesPath, '"axisNames" must be an array of strings')
+      return false
+    }
+    if (new Set(axisNames).size !== axisNames.length) {
+      ctx.error(axisNamesPath, '"axisNames" must not contain duplicates')
+      valid = false
+    }
+    if (axisSizes.size > 0) {
+      axisNames.forEach((name, i) => {
+        if (!axisSizes.has(name)) {
+          ctx.error(child(axisNamesPath, i), 'Unknown domain axis "' + name + '"')
+          valid = false
+        }
+      })
+      for (let [key, size] of axisSizes) {
+        if (size > 1 && axisNames.indexOf(key) === -1) {
+          ctx.error(axisNamesPath, 'Domain axis "' + key + '" with more than one value is missing')
+          valid = false
+        }
+      }
+    }
+  }
+  if (shape !== undefined) {
+    if (!Array.isArray(shape) || shape.some(n => !isInteger(n) || n < 0)) {
+      ctx.error(shapePath, '"shape" must be an array of non-negative integers')
+      return false
+    }
+    if (axisNames === undefined) {
+      ctx.error(axisNamesPath, '"axisNames" is required if "shape" is given')
+      return false
+    }
+    if (shape.length !== axisNames.length) {
+      ctx.error(shapePath, '"shape" must have the same length as "axisNames"')
+      return false
+    }
+    shape.forEach((n, i) => {
+      let size = axisSizes.get(axisNames[i])
+      if (isInteger(size) && n !== size) {
+        ctx.error(child(shapePath, i), 'Shape ' + n + ' does not match the size ' + size + ' of axis "' + axisNames[i] + '"')
+        valid = false
+      }
+    })
+  } else if (range.axisNames !== undefined) {
+    ctx.error(shapePath, '"shape" is required if "axisNames" is given')
+    return false
+  }
+  return valid
+}
+
+function validateRangeValues (ctx, values, path, dataType, categoryValues) {
+  let unknownCategory = false
+  for (let i = 0; i < values.length; i++) {
+    let v = values[i]
+    if (v === null) {
+      continue
+    }
+    let valid
+    if (dataType === 'float') {
+      valid = typeof v === 'number'
+    } else if (dataType === 'integer') {
+      valid = isInteger(v)
+    } else if (dataType === 'string') {
+      valid = typeof v === 'string'
+    } else {
+      valid = typeof v === 'number' || typeof v === 'string'
+    }
+    if (!valid) {
+      // only the first invalid value is reported to keep the report readable
+      ctx.error(child(path, i), 'Value ' + JSON.stringify(v) + ' does not match the data type ' + (dataType || 'of the range'))
+      return
+    }
+    if (categoryValues && !unknownCategory && !categoryValues.has(v)) {
+      ctx.warn(child(path, i), 'Value ' + v + ' is not a category encoding of the parameter')
+      unknownCategory = true
+    }
+  }
+}
+
+function validateTileSets (ctx, tileSets, path, axisNames, shape) {
+  if (!Array.isArray(tileSets) || tileSets.length === 0) {
+    ctx.error(path, '"tileSets" must be a non-empty array')
+    return
+  }
+  tileSets.forEach((tileSet, i) => {
+    let tileSetPath = child(path, i)
+    if (!isObject(tileSet)) {
+      ctx.error(tileSetPath, 'Tile sets must be objects')
+      return
+    }
+    let tileShape = tileSet.tileShape
+    let tileShapePath = child(tileSetPath, 'tileShape')
+    if (!Array.isArray(tileShape) || tileShape.length !== shape.length) {
+      ctx.error(tileShapePath, '"tileShape" must be an array with the same length as "shape"')
+      return
+    }
+    tileShape.forEach((n, j) => {
+      if (n !== null && (!isInteger(n) || n < 1)) {
+        ctx.error(child(tileShapePath, j), 'Tile sizes must be positive integers or null')
+      }
+    })
+    let urlTemplate = tileSet.urlTemplate
+    let urlTemplatePath = child(tileSetPath, 'urlTemplate')
+    if (typeof urlTemplate !== 'string') {
+      ctx.error(urlTemplatePath, '"urlTemplate" missing or not a string')
+      return
+    }
+    let variables = new Set(getTemplateVariables(urlTemplate))
+    for (let name of variables) {
+      let j = axisNames.indexOf(name)
+      if (j === -1 || tileShape[j] === null) {
+        ctx.error(urlTemplatePath, 'Template variable "' + name + '" is not a tiled axis')
+      }
+    }
+    axisNames.forEach((name, j) => {
+      if (tileShape[j] !== null && tileShape[j] < shape[j] && !variables.has(name)) {
+        ctx.error(urlTemplatePath, 'Template variable for tiled axis "' + name + '" missing')
+      }
+    })
+  })
+}
@@ -0,0 +1,193 @@
+/* global WorkerGlobalScope */
+/**
+ * The worker script used with the worker option of {@link load}.
+ *
+ * Loads and parses documents on behalf of the main thread and prepares them such that
+ * the remaining transformations on the main thread are cheap:
+ * regular axes are expanded and numeric axis and range values are converted to typed arrays,
+ * whose buffers are then transferred instead of copied.
+ *
+ * When loaded as script of a Web Worker or a Node.js worker_threads Worker, it starts serving requests automatically.
+ */
+
+import {load} from './http.js'
+import {addMessageListener, serializeError} from './http-worker.js'
+import {toTypedValues, getPacking} from './typed-arrays.js'
+import {shallowcopy, createAbortController, minMax} from './util.js'
+import {COVERAGE, COVERAGECOLLECTION, DOMAIN} from './constants.js'
+
+let parentPort = getParentPort()
+if (parentPort) {
+  serve(parentPort)
+}
+
+/**
+ * Returns the object for communicating with the main thread if running within a worker.
+ */
+function getParentPort () {
+  if (isWebWorker()) {
+    return self
+  }
+  if (typeof XMLHttpRequest === 'undefined' && typeof require === 'function') {
+    try {
+      // lazy load with require() to prevent errors in browser environments
+      return require('worker_threads').parentPort
+    } catch (e) {
+      // worker_threads is not available in older Node.js versions
+    }
+  }
+}
+
+function isWebWorker () {
+  return typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope
+}
+
+/**
+ * Serves load requests received on the given port, see http-worker.js for the message format.
+ *
+ * @param {Object} port The worker global scope, the parentPort of worker_threads, or a compatible object.
+ * @ignore
+ */
+export function serve (port) {
+  let controllers = new Map() // id -> AbortController
+  addMessageListener(port, msg => {
+    if (msg.type === 'abort') {
+      let controller = controllers.get(msg.id)
+      if (controller) {
+        controller.abort()
+      }
+      return
+    }
+    if (msg.type !== 'load') {
+      return
+    }
+    let id = msg.id
+    let controller = createAbortController()
+    controllers.set(id, controller)
+
+    let options = shallowcopy(msg.options)
+    options.signal = controller.signal
+    if (isWebWorker() && typeof fetch === 'function') {
+      // allows incremental parsing, XMLHttpRequest would be used otherwise
+      options.fetch = fetch
+    }
+    if (msg.progress) {
+      options.onProgress = event => port.postMessage({type: 'progress', id, event})
+    }
+
+    load(msg.url, options).then(result => {
+      let transfer = []
+      if (result.data !== undefined) {
+        prepareDocument(result.data, transfer)
+      }
+      port.postMessage({type: 'result', id, result}, transfer)
+    }, e => {
+      port.postMessage({type: 'error', id, error: serializeError(e)})
+    }).then(() => {
+      controllers.delete(id)
+    })
+  })
+}
+
+/**
+ * Prepares a loaded document in-place for sending it to the main thread.
+ *
+ * @param {Object} doc A Coverage, CoverageCollection, Domain, or NdArray document.
+ * @param {Array<ArrayBuffer>} transfer The array to which the buffers of all typed arrays are added.
+ * @ignore
+ */
+export function prepareDocument (doc, transfer) {
+  if (doc.type === COVERAGE) {
+    prepareCoverage(doc, transfer)
+  } else if (doc.type === COVERAGECOLLECTION && Array.isArray(doc.coverages)) {
+    for (let cov of doc.coverages) {
+      prepareCoverage(cov, transfer)
+    }
+  } else if (doc.type === DOMAIN) {
+    prepareDomain(doc, transfer)
+  } else if (doc.type === 'NdArray') {
+    prepareRange(doc, transfer)
+  }
+}
+
+function prepareCoverage (cov, transfer) {
+  if (cov.domain && typeof cov.domain === 'object') {
+    prepareDomain(cov.domain, transfer)
+  }
+  if (cov.ranges) {
+    for (let key of Object.keys(cov.ranges)) {
+      let range = cov.ranges[key]
+      // "Range" is the type of NdArray ranges in older CoverageJSON documents
+      if (range && (range.type === 'NdArray' || range.type === 'Range')) {
+        prepareRange(range, transfer)
+      }
+    }
+  }
+}
+
+/**
+ * Does the same as transformDomain() in Coverage.js for the axis values.
+ */
+function prepareDomain (domain, transfer) {
+  if (!domain.axes || typeof domain.axes !== 'object') {
+    return
+  }
+  for (let key of Object.keys(domain.axes)) {
+    let axis = domain.axes[key]
+    if ('start' in axis && 'stop' in axis && 'num' in axis) {
+      if (axis.num === 1 && axis.start !== axis.stop) {
+        // left for the main thread to report
+        continue
+      }
+      let arr = new Float64Array(axis.num)
+      let step = axis.num === 1 ? 0 : (axis.stop - axis.start) / (axis.num - 1)
+      for (let i = 0; i < axis.num; i++) {
+        arr[i] = axis.start + i * step
+      }
+      axis.values = arr
+      delete axis.start
+      delete axis.stop
+      delete axis.num
+    } else if (Array.isArray(axis.values) && typeof axis.values[0] === 'number') {
+      axis.values = new Float64Array(axis.values)
+    }
+    if (ArrayBuffer.isView(axis.values)) {
+      addTransfer(transfer, axis.values)
+    }
+  }
+}
+
+/**
+ * Does the same as transformNdArrayRange() in Coverage.js for the range values.
+ * The validity mask is stored as _mask member and picked up there.
+ */
+function prepareRange (range, transfer) {
+  if (!range.values) {
+    return
+  }
+  let isNumeric = range.dataType === 'float' || range.dataType === 'integer'
+  // statistics of packed ranges are determined on the main thread after fill values are masked
+  if (range.actualMin === undefined && !(isNumeric && getPacking(range))) {
+    let [min, max] = minMax(range.values)
+    if (min !== null) {
+      range.actualMin = min
+      range.actualMax = max
+    }
+  }
+  let typed = toTypedValues(range.values, range.dataType)
+  if (typed) {
+    range.values = typed.values
+    addTransfer(transfer, typed.values)
+    if (typed.mask) {
+      range._mask = typed.mask
+      addTransfer(transfer, typed.mask)
+    }
+  }
+}
+
+function addTransfer (transfer, typedArray) {
+  // a buffer may be shared between several arrays, e.g. after CBOR decoding
+  if (transfer.indexOf(typedArray.buffer) === -1) {
+    transfer.push(typedArray.buffer)
+  }
+}
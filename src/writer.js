@@ -0,0 +1,288 @@
+import {COVERAGE, COVERAGECOLLECTION, DOMAIN} from './constants.js'
+import {CORE_PREFIX, DOMAINTYPES_PREFIX} from './util.js'
+import {UnsupportedError} from './errors.js'
+import {hasGeneratedId} from './CoverageCollection.js'
+
+/**
+ * Relative tolerance when checking whether axis values are evenly spaced.
+ */
+const REGULAR_AXIS_TOLERANCE = 1e-9
+
+/**
+ * Serializes a Coverage, CoverageCollection, or Domain object back to a stand-alone CoverageJSON document
+ * and returns a {@link Promise} that succeeds with the document as a plain object.
+ *
+ * Any object implementing the Coverage API can be written, including the coverages returned by
+ * subsetByIndex() and subsetByValue(). All domains and ranges are loaded and embedded in the document.
+ * Ranges are written as NdArray objects, and evenly spaced numeric axes without bounds are
+ * written in their compact start/stop/num form.
+ *
+ * @example
+ * cov.subsetByValue({t: '2015-01-01T00:00:00Z'}).then(function (subset) {
+ *   return CovJSON.write(subset)
+ * }).then(function (doc) {
+ *   var blob = new Blob([JSON.stringify(doc)], {type: 'application/prs.coverage+json'})
+ * })
+ * @param {Coverage|CoverageCollection|Domain} obj The object to serialize.
+ * @param {Object} [options] An options object.
+ * @param {Array<string>} [options.parameters]
+ *   The keys of the parameters to include. By default all parameters are included.
+ * @param {boolean} [options.compactAxes=true]
+ *   Whether to write evenly spaced numeric axes as start/stop/num instead of listing all values.
+ * @param {AbortSignal} [options.signal]
+ *   A signal which aborts loading remote domains and ranges, see {@link Coverage#loadRange}.
+ * @return {Promise<Object>}
+ *   A promise object succeeding with the CoverageJSON document.
+ */
+export function write (obj, options = {}) {
+  return Promise.resolve().then(() => {
+    if (obj.type === COVERAGE) {
+      return writeCoverage(obj, options)
+    } else if (obj.type === COVERAGECOLLECTION) {
+      return writeCollection(obj, options)
+    } else if (obj.type === DOMAIN) {
+      return writeDomain(obj, options)
+    } else {
+      throw new UnsupportedError('Cannot write objects of type: ' + obj.type)
+    }
+  })
+}
+
+function writeCollection (coll, options) {
+  let doc = {type: COVERAGECOLLECTION}
+  copyLd(coll, doc)
+  if (coll.domainType) {
+    doc.domainType = compactDomainType(coll.domainType)
+  }
+  let rootParams = coll.parameters
+  if (rootParams) {
+    doc.parameters = writeParameters(rootParams, options.parameters)
+  }
+  return Promise.all(coll.coverages.map(cov => writeCoverage(cov, options, rootParams))).then(coverages => {
+    for (let covDoc of coverages) {
+      // the context is defined once for the whole collection
+      delete covDoc['@context']
+    }
+    doc.coverages = coverages
+    return doc
+  })
+}
+
+/**
+ * @param {Map} [rootParams] The parameters of the containing collection,
+ *   which are therefore omitted in the coverage document.
+ */
+function writeCoverage (cov, options, rootParams) {
+  let paramKeys = [...cov.parameters.keys()]
+  if (options.parameters) {
+    paramKeys = paramKeys.filter(key => options.parameters.indexOf(key) !== -1)
+  }
+  return Promise.all([
+    cov.loadDomain(options),
+    cov.loadRanges(paramKeys, options)
+  ]).then(([domain, ranges]) => {
+    let doc = {type: COVERAGE}
+    copyLd(cov, doc)
+    doc.domain = writeDomain(domain, options)
+    if (!doc.domain.domainType && cov.domainType) {
+      doc.domain.domainType = compactDomainType(cov.domainType)
+    }
+
+    let ownParams = new Map()
+    for (let key of paramKeys) {
+      let param = cov.parameters.get(key)
+      if (!rootParams || rootParams.get(key) !== param) {
+        ownParams.set(key, param)
+      }
+    }
+    if (ownParams.size > 0 || !rootParams) {
+      doc.parameters = writeParameters(ownParams)
+    }
+
+    doc.ranges = {}
+    for (let key of paramKeys) {
+      doc.ranges[key] = writeRange(ranges.get(key), cov.parameters.get(key))
+    }
+    return doc
+  })
+}
+
+function copyLd (obj, doc) {
+  if (obj.ld && obj.ld['@context']) {
+    doc['@context'] = obj.ld['@context']
+  }
+  if (obj.id) {
+    doc.id = obj.id
+  }
+}
+
+function compactDomainType (domainType) {
+  if (domainType.indexOf(DOMAINTYPES_PREFIX) === 0) {
+    return domainType.substr(DOMAINTYPES_PREFIX.length)
+  }
+  return domainType
+}
+
+function writeDomain (domain, options) {
+  let doc = {type: DOMAIN}
+  if (domain.domainType) {
+    doc.domainType = compactDomainType(domain.domainType)
+  }
+  doc.axes = {}
+  for (let [key, axis] of domain.axes) {
+    doc.axes[key] = writeAxis(key, axis, options)
+  }
+  if (domain.referencing) {
+    doc.referencing = domain.referencing.map(ref => ({
+      coordinates: (ref.coordinates || ref.components).slice(),
+      system: JSON.parse(JSON.stringify(ref.system))
+    }))
+  }
+  return doc
+}
+
+function writeAxis (key, axis, options) {
+  let doc = {}
+  let dataType = axis.dataType
+  if (dataType && dataType.indexOf(CORE_PREFIX) === 0) {
+    dataType = dataType.substr(CORE_PREFIX.length)
+  }
+  if (dataType && dataType !== 'primitive') {
+    doc.dataType = dataType
+  }
+  let coordinates = axis.coordinates
+  if (coordinates && !(coordinates.length === 1 && coordinates[0] === key)) {
+    doc.coordinates = coordinates.slice()
+  }
+
+  let values = axis.values
+  let compactAxes = options.compactAxes !== false
+  let regular = compactAxes && !axis.bounds && !doc.dataType && getRegularAxis(values)
+  if (regular) {
+    doc.start = regular.start
+    doc.stop = regular.stop
+    doc.num = regular.num
+  } else if (doc.dataType) {
+    // tuples and polygons are nested arrays
+    doc.values = JSON.parse(JSON.stringify(Array.from(values)))
+  } else {
+    doc.values = Array.from(values)
+  }
+
+  if (axis.bounds) {
+    let bounds = []
+    for (let i = 0; i < values.length; i++) {
+      let [lo, hi] = axis.bounds.get(i)
+      bounds.push(lo, hi)
+    }
+    doc.bounds = bounds
+  }
+  return doc
+}
+
+/**
+ * Returns {start, stop, num} if the values are numbers and evenly spaced, otherwise undefined.
+ */
+function getRegularAxis (values) {
+  let num = values.length
+  if (num < 2 || typeof values[0] !== 'number') {
+    return
+  }
+  let start = values[0]
+  let stop = values[num - 1]
+  let step = (stop - start) / (num - 1)
+  if (step === 0 || !isFinite(step)) {
+    return
+  }
+  let tolerance = REGULAR_AXIS_TOLERANCE * Math.max(Math.abs(start), Math.abs(stop), Math.abs(step))
+  for (let i = 1; i < num - 1; i++) {
+    if (typeof values[i] !== 'number' || Math.abs(values[i] - (start + i * step)) > tolerance) {
+      return
+    }
+  }
+  return {start, stop, num}
+}
+
+/**
+ * @param {Map} params
+ * @param {Array<string>} [keys] The keys of the parameters to include.
+ */
+function writeParameters (params, keys) {
+  let doc = {}
+  for (let [key, param] of params) {
+    if (!keys || keys.indexOf(key) !== -1) {
+      doc[key] = writeParameter(param)
+    }
+  }
+  return doc
+}
+
+function writeParameter (param) {
+  let doc = {}
+  for (let prop of Object.keys(param)) {
+    if (prop === 'key' || prop === '__transformDone' || prop === 'categoryEncoding') {
+      continue
+    }
+    if (prop === 'id' && hasGeneratedId(param)) {
+      continue
+    }
+    doc[prop] = JSON.parse(JSON.stringify(param[prop]))
+  }
+  doc.type = 'Parameter'
+  let symbol = doc.unit && doc.unit.symbol
+  if (symbol && typeof symbol === 'object' && !symbol.type) {
+    // symbols without scheme were plain strings originally
+    doc.unit.symbol = symbol.value
+  }
+  if (param.categoryEncoding) {
+    doc.categoryEncoding = {}
+    for (let [category, vals] of param.categoryEncoding) {
+      doc.categoryEncoding[category] = vals.length === 1 ? vals[0] : vals.slice()
+    }
+  }
+  return doc
+}
+
+function writeRange (range, param) {
+  let axisNames = [...range.shape.keys()]
+  let shape = axisNames.map(name => range.shape.get(name))
+  let size = shape.reduce((a, b) => a * b, 1)
+  let values = new Array(size)
+
+  // iterate over all indices in row-major order
+  let indices = {}
+  for (let name of axisNames) {
+    indices[name] = 0
+  }
+  for (let i = 0; i < size; i++) {
+    let val = range.get(indices)
+    values[i] = val === undefined || (typeof val === 'number' && isNaN(val)) ? null : val
+    for (let j = axisNames.length - 1; j >= 0; j--) {
+      let name = axisNames[j]
+      if (++indices[name] < shape[j]) break
+      indices[name] = 0
+    }
+  }
+
+  return {
+    type: 'NdArray',
+    dataType: range.dataType || guessDataType(values, param),
+    axisNames,
+    shape,
+    values
+  }
+}
+
+/**
+ * Determines the data type of ranges in older CoverageJSON documents which did not declare it.
+ */
+function guessDataType (values, param) {
+  if (param && param.categoryEncoding) {
+    return 'integer'
+  }
+  for (let v of values) {
+    if (typeof v === 'string') return 'string'
+    if (typeof v === 'number') return 'float'
+  }
+  return 'float'
+}
@@ -7,7 +7,7 @@ import 'core-js/modules/es6.array.from'
 import assert from 'assert'
 import xndarray from 'xndarray'
 
-import {read} from '../src/reader.js'
+import {read, load, Cache, registerRangeDecoder, unregisterRangeDecoder} from '../src/reader.js'
 import {COVERAGE} from '../src/constants.js'
 import {DOMAINTYPES_PREFIX as PREFIX} from '../src/util.js'
 
@@ -29,6 +29,69 @@ let tiledAllVals = xndarray([
    91, 92, 93, 94, 95, 96, 97, 98, 99, 100], 
    {names: ['t','y','x'], shape: [2, 5, 10]})
 
+function typedRangeCoverage (dataType, values) {
+  return {
+    type: 'Coverage',
+    domain: {
+      type: 'Domain',
+      axes: {x: {values: values.map((v, i) => i)}},
+      referencing: []
+    },
+    parameters: {
+      X: {type: 'Parameter', observedProperty: {label: {en: 'X'}}}
+    },
+    ranges: {
+      X: {type: 'NdArray', dataType, axisNames: ['x'], shape: [values.length], values}
+    }
+  }
+}
+
+function offlineTiledCoverage () {
+  return {
+    type: 'Coverage',
+    domain: {
+      type: 'Domain',
+      axes: {
+        t: {values: ['2016-01-01T00:00:00Z', '2016-01-02T00:00:00Z']},
+        y: {start: 0, stop: 4, num: 5},
+        x: {start: 0, stop: 9, num: 10}
+      },
+      referencing: []
+    },
+    parameters: {
+      FOO: {type: 'Parameter', observedProperty: {label: {en: 'Foo'}}}
+    },
+    ranges: {
+      FOO: {
+        type: 'TiledNdArray',
+        dataType: 'integer',
+        axisNames: ['t', 'y', 'x'],
+        shape: [2, 5, 10],
+        tileSets: [{tileShape: [1, null, null], urlTemplate: 'tiles/{t}.covjson'}]
+      }
+    }
+  }
+}
+
+function profileSubset () {
+  let doc = FIXTURES.Profile()
+  doc.domain.axes.z.values = [8.9282]
+  doc.ranges.PSAL.values = [43.3599]
+  return doc
+}
+
+/**
+ * Returns a loader which records the requested URLs and responds with profileSubset(),
+ * except for the URLs given in docs.
+ */
+function subsetLoader (urls, docs = {}) {
+  return url => {
+    urls.push(url)
+    let {data, headers} = docs[url] || {data: profileSubset(), headers: {}}
+    return Promise.resolve({data, headers, url})
+  }
+}
+
 describe('Coverage structure', () => {
   runServerIfNode()
   
@@ -39,6 +102,99 @@ describe('Coverage structure', () => {
       assert.equal(cov.domainType, PREFIX + 'VerticalProfile')
     })
   })
+  it('should expose the links of the coverage, domain, and range responses', () => {
+    let base = 'http://example.com/data/'
+    let doc = FIXTURES.Profile()
+    let domain = doc.domain
+    let range = doc.ranges.PSAL
+    doc.domain = 'profile/domain.covjson'
+    doc.ranges.PSAL = 'profile/psal.covjson'
+    let responses = {
+      [base + 'profile.covjson']: {
+        data: doc,
+        headers: {link: '<profiles.covjson>; rel="collection"; title="All profiles", <other>; rel=next; anchor="#psal"'}
+      },
+      [base + 'profile/domain.covjson']: {data: domain, headers: {link: '<../domain.html>; rel=describedby'}},
+      [base + 'profile/psal.covjson']: {data: range, headers: {}}
+    }
+    let loader = url => Promise.resolve({data: responses[url].data, headers: responses[url].headers, url})
+    return read(base + 'profile.covjson', {loader, cache: false}).then(cov => {
+      assert.deepEqual(cov.links, [{
+        url: base + 'profiles.covjson',
+        rel: ['collection'],
+        attributes: {title: 'All profiles'}
+      }, {
+        url: base + 'other',
+        rel: ['next'],
+        anchor: base + 'profile.covjson#psal',
+        attributes: {}
+      }])
+      assert.strictEqual(cov.ld['http://www.iana.org/assignments/relation/collection'], base + 'profiles.covjson')
+      // links with a different context are not relations of the coverage
+      assert.strictEqual(cov.ld['http://www.iana.org/assignments/relation/next'], undefined)
+      return Promise.all([cov.loadDomain(), cov.loadRange('PSAL')])
+    }).then(([domain, range]) => {
+      assert.deepEqual(domain.links.map(link => link.url), [base + 'domain.html'])
+      assert.deepEqual(range.links, [])
+    })
+  })
+  it('should not share transformed domains between coverages using the same cached domain', () => {
+    let base = 'http://example.com/data/'
+    let requests = 0
+    let loader = url => {
+      requests++
+      let headers = {'cache-control': 'max-age=60', link: '<domain.html>; rel=describedby'}
+      return Promise.resolve({data: FIXTURES.Profile().domain, headers, url})
+    }
+    let createCoverage = () => {
+      let doc = FIXTURES.Profile()
+      doc.domain = 'domain.covjson'
+      return doc
+    }
+    let cache = new Cache()
+    let loadDomain = () => read(createCoverage(), {loader, cache, baseUrl: base}).then(cov => cov.loadDomain())
+    return loadDomain().then(domain1 => loadDomain().then(domain2 => {
+      assert.strictEqual(requests, 1)
+      assert.notStrictEqual(domain1, domain2)
+      assert.notStrictEqual(domain1.axes, domain2.axes)
+      assert.notStrictEqual(domain1.links, domain2.links)
+      assert.deepEqual(domain2.links.map(link => link.url), [base + 'domain.html'])
+    }))
+  })
+  it('should validate remote domains and ranges shared by strict coverages before transforming them', () => {
+    let base = 'http://example.com/data/'
+    let urls = []
+    let loader = url => {
+      urls.push(url)
+      let doc = FIXTURES.Profile()
+      let data = url === base + 'domain.covjson' ? doc.domain : doc.ranges.PSAL
+      return Promise.resolve({data, headers: {'cache-control': 'max-age=60'}, url})
+    }
+    let createCoverage = () => {
+      let doc = FIXTURES.Profile()
+      doc.domain = 'domain.covjson'
+      doc.ranges.PSAL = 'psal.covjson'
+      delete doc.ranges.POTM
+      delete doc.parameters.POTM
+      return doc
+    }
+    let loadAll = (strict, cache) => read(createCoverage(), {loader, cache, strict, baseUrl: base})
+      .then(cov => Promise.all([cov.loadDomain(), cov.loadRange('PSAL')]))
+    let cache = new Cache()
+    return loadAll(true, cache).then(() => loadAll(true, cache)).then(([domain, range]) => {
+      assert.strictEqual(domain.axes.size, 4)
+      assert.strictEqual(range.get({z: 0}), FIXTURES.Profile().ranges.PSAL.values[0])
+      assert.deepEqual(urls, [base + 'domain.covjson', base + 'psal.covjson'])
+
+      // cached documents are unmodified copies, also after being used without validation
+      urls = []
+      cache = new Cache()
+      return loadAll(false, cache).then(() => loadAll(true, cache))
+    }).then(([domain, range]) => {
+      assert.strictEqual(domain.axes.size, 4)
+      assert.deepEqual(urls, [base + 'domain.covjson', base + 'psal.covjson'])
+    })
+  })
   it('should support 0D NdArrays', () => {
     let vals = FIXTURES.Point().ranges.PSAL.values
     return read(FIXTURES.Point()).then(cov => {
@@ -58,6 +214,61 @@ describe('Coverage structure', () => {
       })
     })
   })
+  it('should store float ranges in typed arrays with missing values as null', () => {
+    return read(typedRangeCoverage('float', [0.5, null, -1.25, 3])).then(cov => cov.loadRange('X')).then(range => {
+      assert(range._ndarr.data instanceof Float64Array)
+      assert.deepEqual([0, 1, 2, 3].map(x => range.get({x})), [0.5, null, -1.25, 3])
+    })
+  })
+  it('should store integer ranges in the smallest fitting typed array', () => {
+    return read(typedRangeCoverage('integer', [-3, 100, 7, 0])).then(cov => cov.loadRange('X')).then(range => {
+      assert(range._ndarr.data instanceof Int8Array)
+      assert.deepEqual([0, 1, 2, 3].map(x => range.get({x})), [-3, 100, 7, 0])
+    })
+  })
+  it('should use a validity mask for missing values in integer ranges', () => {
+    return read(typedRangeCoverage('integer', [1, null, 60000, null])).then(cov => {
+      return cov.loadRange('X').then(range => {
+        assert(range._ndarr.data.data instanceof Uint16Array)
+        assert.deepEqual([0, 1, 2, 3].map(x => range.get({x})), [1, null, 60000, null])
+      }).then(() => cov.subsetByIndex({x: {start: 1, stop: 4, step: 1}})).then(subset => subset.loadRange('X')).then(range => {
+        assert.deepEqual([0, 1, 2].map(x => range.get({x})), [null, 60000, null])
+      })
+    })
+  })
+  it('should keep ranges as they are if values do not match the data type', () => {
+    return read(typedRangeCoverage('integer', [1, 2.5, null, 4])).then(cov => cov.loadRange('X')).then(range => {
+      assert(Array.isArray(range._ndarr.data))
+      assert.deepEqual([0, 1, 2, 3].map(x => range.get({x})), [1, 2.5, null, 4])
+    })
+  })
+  it('should unpack ranges with scale factor, offset, and fill value', () => {
+    let cov = typedRangeCoverage('integer', [0, 4, -32768, null])
+    Object.assign(cov.ranges.X, {scale_factor: 0.5, add_offset: 10, _FillValue: -32768})
+    return read(cov).then(cov => {
+      return cov.loadRange('X').then(range => {
+        assert(range._ndarr.data.data instanceof Int16Array)
+        assert.strictEqual(range.dataType, 'float')
+        assert.deepEqual([0, 1, 2, 3].map(x => range.get({x})), [10, 12, null, null])
+        // the range document is transformed in-place
+        let rawRange = cov._covjson.ranges.X
+        assert.strictEqual(rawRange.actualMin, 10)
+        assert.strictEqual(rawRange.actualMax, 12)
+      }).then(() => cov.subsetByIndex({x: {start: 1, stop: 3}})).then(subset => subset.loadRange('X')).then(range => {
+        assert.strictEqual(range.dataType, 'float')
+        assert.deepEqual([0, 1].map(x => range.get({x})), [12, null])
+      })
+    })
+  })
+  it('should unpack the statistics of packed ranges', () => {
+    let cov = typedRangeCoverage('integer', [1, 2, 3])
+    Object.assign(cov.ranges.X, {scale_factor: -2, actualMin: 0, actualMax: 5})
+    return read(cov).then(cov => cov.loadRange('X').then(range => {
+      assert.deepEqual([0, 1, 2].map(x => range.get({x})), [-2, -4, -6])
+      assert.strictEqual(cov._covjson.ranges.X.actualMin, -10)
+      assert.strictEqual(cov._covjson.ranges.X.actualMax, 0)
+    }))
+  })
   it('should support loading a tiled range', () => {
     return read(FIXTURES.GridTiledURL).then(cov => {
       // TODO how to check which tileset was loaded?
@@ -78,6 +289,37 @@ describe('Coverage methods', () => {
   runServerIfNode()
   
   describe('#subsetByIndex', () => {
+    it('should request subsets from a URL template linked in the JSON-LD', () => {
+      let doc = FIXTURES.Profile()
+      doc['@context'] = [{api: 'https://covjson.org/def/api#'}]
+      doc['api:subsetByIndex'] = 'http://example.com/profile{?t,z}'
+      let urls = []
+      return read(doc, {loader: subsetLoader(urls), cache: false}).then(cov => {
+        return Promise.all([
+          cov.subsetByIndex({z: 1, x: null}),
+          cov.subsetByIndex({z: {start: 0, stop: 2, step: 2}})
+        ])
+      }).then(([subset]) => {
+        assert.deepEqual(urls, ['http://example.com/profile?z=1', 'http://example.com/profile?z=0%3A2%3A2'])
+        return subset.loadDomain()
+      }).then(domain => {
+        assert.deepEqual(domain.axes.get('z').values, [8.9282])
+      })
+    })
+    it('should subset locally if the URL template cannot express the constraints', () => {
+      let doc = FIXTURES.Profile()
+      doc['https://covjson.org/def/api#subsetByIndex'] = 'http://example.com/profile{?z}'
+      let urls = []
+      return Promise.all([
+        read(doc, {loader: subsetLoader(urls)}).then(cov => cov.subsetByIndex({x: 0, z: 1})),
+        read(doc, {loader: subsetLoader(urls), remoteSubsetting: false}).then(cov => cov.subsetByIndex({z: 1}))
+      ]).then(subsets => Promise.all(subsets.map(subset => subset.loadDomain()))).then(domains => {
+        assert.deepEqual(urls, [])
+        for (let domain of domains) {
+          assert.deepEqual(domain.axes.get('z').values, [8.9282])
+        }
+      })
+    })
     it('should not modify the original coverage', () => {
       return read(FIXTURES.Profile()).then(cov => {
         return cov.subsetByIndex({z: 0}).then(subset => {
@@ -200,6 +442,37 @@ describe('Coverage methods', () => {
         })
       })
     })
+    it('should subset a tiled range with steps across tile borders correctly', () => {
+      return read(FIXTURES.GridTiledURL).then(cov => {
+        let constraint = {t: {start: 0, stop: 2}, y: {start: 1, stop: 5, step: 2}, x: {start: 1, stop: 10, step: 3}}
+        return cov.subsetByIndex(constraint).then(subset => subset.loadRange('FOO')).then(range => {
+          assert(range._ndarr.data instanceof Float64Array)
+          assert.deepEqual([...range.shape.values()], [2, 2, 3])
+          for (let t = 0; t < 2; t++) {
+            for (let y = 0; y < 2; y++) {
+              for (let x = 0; x < 3; x++) {
+                assert.strictEqual(range.get({t, y, x}), tiledAllVals.xget({t, y: 1 + y * 2, x: 1 + x * 3}))
+              }
+            }
+          }
+        })
+      })
+    })
+    it('should keep missing values when assembling tiles', () => {
+      let tileResolver = ({tile}) => ({
+        type: 'NdArray',
+        dataType: 'integer',
+        axisNames: ['t', 'y', 'x'],
+        shape: [1, 5, 10],
+        values: Array.from({length: 50}, (v, i) => i % 2 === 0 ? null : tile.t + 1)
+      })
+      return read(offlineTiledCoverage(), {tileResolver}).then(cov => {
+        return cov.subsetByIndex({y: 0, x: {start: 0, stop: 4}})
+      }).then(subset => subset.loadRange('FOO')).then(range => {
+        assert.deepEqual([0, 1, 2, 3].map(x => range.get({t: 0, x})), [null, 1, null, 1])
+        assert.deepEqual([0, 1, 2, 3].map(x => range.get({t: 1, x})), [null, 2, null, 2])
+      })
+    })
     it('should load a full tile correctly', () => {
       return read(FIXTURES.GridTiledURL).then(cov => {
         // TODO how to check which tileset was loaded?
@@ -219,8 +492,368 @@ describe('Coverage methods', () => {
         })
       })
     })
+    it('should load tiles with a custom loader', () => {
+      let urls = []
+      let loader = (url, options) => {
+        urls.push(url)
+        return load(url, options)
+      }
+      return read(FIXTURES.GridTiledURL, {loader, cache: false}).then(cov => {
+        return cov.subsetByIndex({t: 1}).then(subset => {
+          return subset.loadRange('FOO').then(() => {
+            assert.strictEqual(urls.length, 2)
+            assert.strictEqual(urls[0], FIXTURES.GridTiledURL)
+            assert(urls[1].indexOf('grid-tiled') !== -1)
+          })
+        })
+      })
+    })
+  })
+  describe('#loadRange', () => {
+    it('should load ranges of registered types with their decoder', () => {
+      let contexts = []
+      registerRangeDecoder('ConstantRange', (range, context) => {
+        contexts.push(context)
+        let shape = new Map()
+        for (let name of context.domain.axes.keys()) {
+          let {start, stop, step} = context.constraints[name]
+          shape.set(name, Math.ceil((stop - start) / step))
+        }
+        return {dataType: range.dataType, shape, get: () => range.value}
+      })
+      let cov = FIXTURES.Profile()
+      cov.ranges.PSAL = {type: 'ConstantRange', dataType: 'float', value: 42}
+      return read(cov, {strict: true}).then(cov => {
+        return cov.subsetByIndex({z: 1}).then(subset => Promise.all([cov.loadRange('PSAL'), subset.loadRange('PSAL')]))
+      }).then(([range, subsetRange]) => {
+        unregisterRangeDecoder('ConstantRange')
+        assert.strictEqual(range.get({z: 1}), 42)
+        assert.strictEqual(range.shape.get('z'), 2)
+        assert.strictEqual(subsetRange.shape.get('z'), 1)
+        assert.strictEqual(contexts[0].paramKey, 'PSAL')
+        assert.deepEqual(contexts[1].constraints.z, {start: 1, stop: 2, step: 1})
+      }, e => {
+        unregisterRangeDecoder('ConstantRange')
+        throw e
+      })
+    })
+    it('should not allow to replace built-in range types', () => {
+      for (let type of ['NdArray', 'Range', 'TiledNdArray']) {
+        assert.throws(() => registerRangeDecoder(type, () => {}), TypeError)
+      }
+    })
+    it('should resolve relative domain and tile URLs against the document URL', () => {
+      let urls = []
+      let loader = (url, options) => {
+        urls.push(url)
+        return load(url, options)
+      }
+      return read(FIXTURES.GridTiledRelativeURL, {loader}).then(cov => {
+        return cov.loadRange('FOO').then(range => {
+          assert.strictEqual(range.get({t: 1, y: 4, x: 9}), tiledAllVals.xget({t: 1, y: 4, x: 9}))
+          let base = FIXTURES.GridTiledRelativeURL.substr(0, FIXTURES.GridTiledRelativeURL.lastIndexOf('/') + 1)
+          for (let url of urls.slice(1)) {
+            assert.strictEqual(url.indexOf(base), 0)
+          }
+        })
+      })
+    })
+    it('should apply the read options to tile requests', () => {
+      let tileHeaders = []
+      let loader = (url, options) => {
+        if (url.indexOf('grid-tiled') !== -1) {
+          tileHeaders.push(options.headers)
+        }
+        return load(url, options)
+      }
+      return read(FIXTURES.GridTiledURL, {loader, headers: {'X-Token': 'abc'}, cache: false}).then(cov => {
+        return cov.loadRange('FOO').then(() => {
+          return cov.loadRange('FOO', {headers: {'X-Token': 'def', 'X-Foo': 'bar'}})
+        }).then(() => {
+          assert.strictEqual(tileHeaders.length, 2)
+          assert.deepEqual(tileHeaders[0], {'X-Token': 'abc'})
+          assert.deepEqual(tileHeaders[1], {'X-Token': 'def', 'X-Foo': 'bar'})
+        })
+      })
+    })
+    it('should load tiles from a tile resolver', () => {
+      let requests = []
+      let tiles = new Map()
+      for (let t = 0; t < 2; t++) {
+        let values = []
+        for (let i = 0; i < 50; i++) {
+          values.push(t * 50 + i + 1)
+        }
+        tiles.set('tiles/' + t + '.covjson', {type: 'NdArray', dataType: 'integer', axisNames: ['t', 'y', 'x'],
+          shape: [1, 5, 10], values})
+      }
+      // tiles may also be given as encoded bytes, e.g. from an archive
+      let json = JSON.stringify(tiles.get('tiles/1.covjson'))
+      tiles.set('tiles/1.covjson', new Uint8Array(json.split('').map(c => c.charCodeAt(0))))
+
+      let tileResolver = request => {
+        requests.push(request)
+        return Promise.resolve(tiles.get(request.path))
+      }
+      return read(offlineTiledCoverage(), {tileResolver}).then(cov => cov.loadRange('FOO')).then(range => {
+        assert.strictEqual(range.get({t: 0, y: 0, x: 0}), 1)
+        assert.strictEqual(range.get({t: 1, y: 4, x: 9}), 100)
+        assert.deepEqual(requests.map(r => r.path).sort(), ['tiles/0.covjson', 'tiles/1.covjson'])
+        assert.strictEqual(requests[0].paramKey, 'FOO')
+        assert.deepEqual(requests.map(r => r.tile.t).sort(), [0, 1])
+        assert.deepEqual(requests[0].tileSet.tileShape, [1, null, null])
+      })
+    })
+    it('should unpack tiles with the packing metadata of the tile or the tiled range', () => {
+      let cov = offlineTiledCoverage()
+      Object.assign(cov.ranges.FOO, {scale_factor: 0.1, _FillValue: 255})
+      let tileResolver = ({tile}) => {
+        let tileRange = {
+          type: 'NdArray',
+          dataType: 'integer',
+          axisNames: ['t', 'y', 'x'],
+          shape: [1, 5, 10],
+          values: Array.from({length: 50}, (v, i) => i === 0 ? 255 : 10 * (tile.t + 1))
+        }
+        if (tile.t === 1) {
+          Object.assign(tileRange, {scale_factor: 2, add_offset: 1})
+        }
+        return tileRange
+      }
+      return read(cov, {tileResolver}).then(cov => {
+        return Promise.all([
+          cov.loadRange('FOO'),
+          cov.subsetByIndex({t: 0}).then(subset => subset.loadRange('FOO'))
+        ])
+      }).then(([range, tileRange]) => {
+        assert.strictEqual(range.dataType, 'float')
+        assert.strictEqual(range.get({t: 0, y: 0, x: 0}), null)
+        assert.strictEqual(range.get({t: 0, y: 0, x: 1}), 1)
+        // the tile has its own packing metadata which replaces that of the tiled range
+        assert.strictEqual(range.get({t: 1, y: 0, x: 0}), 511)
+        assert.strictEqual(range.get({t: 1, y: 4, x: 9}), 41)
+        assert.strictEqual(tileRange.dataType, 'float')
+        assert.strictEqual(tileRange.get({y: 0, x: 0}), null)
+        assert.strictEqual(tileRange.get({y: 0, x: 1}), 1)
+      })
+    })
+    it('should load tiles from their URL if the tile resolver has none', () => {
+      let paths = []
+      let tileResolver = request => {
+        paths.push(request.path)
+      }
+      return read(FIXTURES.GridTiledURL, {tileResolver}).then(cov => {
+        return cov.subsetByIndex({t: 1}).then(subset => subset.loadRange('FOO'))
+      }).then(range => {
+        assert.strictEqual(paths.length, 1)
+        assert.strictEqual(range.get({y: 4, x: 9}), tiledAllVals.xget({t: 1, y: 4, x: 9}))
+      })
+    })
+    it('should limit the number of concurrently loaded tiles and load them in priority order', () => {
+      let cov = offlineTiledCoverage()
+      cov.ranges.FOO.tileSets = [{tileShape: [1, 1, 5], urlTemplate: '{t}-{y}-{x}'}]
+      let paths = []
+      let running = 0
+      let maxRunning = 0
+      let tileResolver = ({path, tile}) => {
+        paths.push(path)
+        running++
+        maxRunning = Math.max(maxRunning, running)
+        return new Promise(resolve => setTimeout(resolve, 1)).then(() => {
+          running--
+          return {type: 'NdArray', dataType: 'integer', axisNames: ['t', 'y', 'x'], shape: [1, 1, 5],
+            values: [0, 1, 2, 3, 4].map(i => tile.x * 5 + i)}
+        })
+      }
+      // nearest to the last value first
+      let tilePriority = ({indices}) => -(indices.t.start + indices.y.start + indices.x.start)
+      return read(cov, {tileResolver, concurrency: 3}).then(cov => {
+        return cov.loadRange('FOO', {tilePriority})
+      }).then(range => {
+        assert.strictEqual(maxRunning, 3)
+        assert.strictEqual(paths.length, 20)
+        assert.strictEqual(paths[0], '1-4-1')
+        assert.strictEqual(paths[paths.length - 1], '0-0-0')
+        assert.strictEqual(range.get({t: 1, y: 4, x: 9}), 9)
+      })
+    })
+    it('should abort the tiles still being loaded if a tile fails', () => {
+      let signals = []
+      let tileResolver = ({tile, signal}) => {
+        signals.push(signal)
+        if (tile.t === 0) {
+          return Promise.reject(new Error('tile failed'))
+        }
+        return new Promise(resolve => setTimeout(resolve, 10)).then(() => ({type: 'NdArray', dataType: 'integer',
+          axisNames: ['t', 'y', 'x'], shape: [1, 5, 10], values: Array.from({length: 50}, () => 1)}))
+      }
+      return read(offlineTiledCoverage(), {tileResolver}).then(cov => cov.loadRange('FOO')).then(() => {
+        assert.fail('should have failed')
+      }, e => {
+        assert.strictEqual(e.message, 'tile failed')
+        assert.strictEqual(signals.length, 2)
+        assert.strictEqual(signals[1].aborted, true)
+      })
+    })
+    it('should reject and stop listening to the signal if a tile resolver throws', () => {
+      let listeners = 0
+      let signal = {
+        aborted: false,
+        addEventListener: () => { listeners++ },
+        removeEventListener: () => { listeners-- }
+      }
+      let tileResolver = () => {
+        throw new Error('resolver failed')
+      }
+      return read(offlineTiledCoverage(), {tileResolver}).then(cov => cov.subsetByIndex({t: 0}))
+        .then(subset => subset.loadRange('FOO', {signal})).then(() => {
+          assert.fail('should have failed')
+        }, e => {
+          assert.strictEqual(e.message, 'resolver failed')
+          assert.strictEqual(listeners, 0)
+        })
+    })
+    it('should fail for a concurrency below 1', () => {
+      let tileResolver = () => ({type: 'NdArray', dataType: 'integer', axisNames: ['t', 'y', 'x'],
+        shape: [1, 5, 10], values: Array.from({length: 50}, () => 1)})
+      return read(offlineTiledCoverage(), {tileResolver, concurrency: -1}).then(cov => cov.loadRange('FOO')).then(() => {
+        assert.fail('should have failed')
+      }, e => {
+        assert(e instanceof RangeError)
+      })
+    })
+    it('should provide partially filled ranges while tiles are loaded', () => {
+      let partial = []
+      let onPartialRange = (range, paramKey) => {
+        assert.strictEqual(paramKey, 'FOO')
+        partial.push([range, range.get({t: 0, y: 0, x: 0}), range.get({t: 1, y: 0, x: 0})])
+      }
+      let tileResolver = ({tile}) => ({type: 'NdArray', dataType: 'integer', axisNames: ['t', 'y', 'x'],
+        shape: [1, 5, 10], values: Array.from({length: 50}, () => tile.t + 1)})
+      return read(offlineTiledCoverage(), {tileResolver, concurrency: 1}).then(cov => {
+        return cov.loadRange('FOO', {onPartialRange})
+      }).then(range => {
+        assert.strictEqual(partial.length, 1)
+        assert.strictEqual(partial[0][0], range)
+        assert.strictEqual(partial[0][1], 1)
+        assert.strictEqual(partial[0][2], null)
+        assert.strictEqual(range.get({t: 1, y: 0, x: 0}), 2)
+      })
+    })
+    it('should expose the selected tile set', () => {
+      return read(FIXTURES.GridTiledURL).then(cov => {
+        return cov.subsetByIndex({t: 1}).then(subset => subset.loadRange('FOO'))
+      }).then(range => {
+        let selection = range.tileSetSelection
+        assert.strictEqual(selection.index, 1)
+        assert.strictEqual(selection.tileSet.urlTemplate.indexOf('grid-tiled/b/') !== -1, true)
+        assert.strictEqual(selection.tileCount, 1)
+        assert.strictEqual(selection.valueCount, 50)
+        assert.strictEqual(selection.cost, 1.05)
+      })
+    })
+    it('should count the values of smaller edge tiles', () => {
+      return read(FIXTURES.GridTiledURL, {tileSetSelection: 0}).then(cov => cov.loadRange('FOO')).then(range => {
+        // 3 x 4 tiles of shape [2, 2, 3] where the last row only has one and the last column two values
+        assert.strictEqual(range.tileSetSelection.tileCount, 12)
+        assert.strictEqual(range.tileSetSelection.valueCount, 100)
+      })
+    })
+    it('should select tile sets with a custom cost function', () => {
+      let stats = []
+      let tileSetSelection = s => {
+        stats.push(s)
+        return s.index === 0 ? 0 : 1
+      }
+      return read(FIXTURES.GridTiledURL, {tileSetSelection}).then(cov => {
+        return cov.subsetByIndex({t: 1}).then(subset => subset.loadRange('FOO'))
+      }).then(range => {
+        assert.strictEqual(stats.length, 3)
+        assert.strictEqual(range.tileSetSelection.index, 0)
+        assert.strictEqual(range.tileSetSelection.cost, 0)
+        assert.strictEqual(range.get({y: 4, x: 9}), tiledAllVals.xget({t: 1, y: 4, x: 9}))
+      })
+    })
+    it('should select tile sets based on latency and bandwidth', () => {
+      let load = (cov, tileSetSelection) => {
+        return cov.subsetByIndex({t: 1, y: 0, x: {start: 0, stop: 6}})
+          .then(subset => subset.loadRange('FOO', {tileSetSelection}))
+          .then(range => range.tileSetSelection)
+      }
+      return read(FIXTURES.GridTiledURL).then(cov => {
+        return Promise.all([
+          // high latency, fast network: one tile of 50 values instead of two tiles of 12 values
+          load(cov, {latency: 200, bandwidth: 1e9, concurrency: 1}),
+          // low latency, slow network: the other way round
+          load(cov, {latency: 1, bandwidth: 1000})
+        ])
+      }).then(([fast, slow]) => {
+        assert.strictEqual(fast.index, 1)
+        assert.strictEqual(fast.tileCount, 1)
+        assert.strictEqual(slow.index, 0)
+        assert.strictEqual(slow.tileCount, 2)
+        assert.strictEqual(slow.valueCount, 24)
+      })
+    })
+    it('should report tile progress', () => {
+      let events = []
+      return read(FIXTURES.GridTiledURL).then(cov => {
+        return cov.subsetByIndex({x: {start: 0, stop: 4}}).then(subset => {
+          return subset.loadRanges(['FOO'], {onProgress: e => events.push(e)})
+        }).then(() => {
+          assert(events.length > 1)
+          let last = events[events.length - 1]
+          assert.strictEqual(last.unit, 'tiles')
+          assert.strictEqual(last.paramKey, 'FOO')
+          assert.strictEqual(last.loaded, last.total)
+        })
+      })
+    })
+    it('should abort loading tiles', () => {
+      let signal = {
+        aborted: true,
+        addEventListener: () => {},
+        removeEventListener: () => {}
+      }
+      return read(FIXTURES.GridTiledURL).then(cov => {
+        return cov.loadRange('FOO', {signal}).then(() => {
+          throw new Error('should have failed')
+        }, e => {
+          assert.strictEqual(e.name, 'AbortError')
+        })
+      })
+    })
   })
   describe('#subsetByValue', () => {
+    it('should request subsets from a URL template given in a Link-Template header', () => {
+      let url = 'http://example.com/data/profile.covjson'
+      let headers = {'link-template': '"subset{?z}"; rel="https://covjson.org/def/api#subsetByValue", "/x{?x}"; rel=other'}
+      let urls = []
+      let loader = subsetLoader(urls, {[url]: {data: FIXTURES.Profile(), headers}})
+      return read(url, {loader, cache: false}).then(cov => {
+        assert.strictEqual(cov.ld['https://covjson.org/def/api#subsetByValue'], 'http://example.com/data/subset{?z}')
+        assert.strictEqual(cov.ld['http://www.iana.org/assignments/relation/other'], 'http://example.com/x{?x}')
+        return cov.subsetByValue({z: {start: 8, stop: 9}}).then(subset => {
+          assert.deepEqual(urls, [url, 'http://example.com/data/subset?z=8%2F9'])
+          // target constraints are resolved locally
+          return cov.subsetByValue({z: {target: 9}})
+        })
+      }).then(subset => subset.loadDomain()).then(domain => {
+        assert.strictEqual(urls.length, 2)
+        assert.deepEqual(domain.axes.get('z').values, [8.9282])
+      })
+    })
+    it('should resolve Link-Template URL templates against the response URL instead of the JSON-LD base', () => {
+      let url = 'http://example.com/data/profile.covjson'
+      let headers = {'link-template': '"subset{?z}"; rel="https://covjson.org/def/api#subsetByValue"'}
+      let doc = FIXTURES.Profile()
+      doc['@context'] = [{'@base': 'http://example.org/other/'}]
+      let urls = []
+      let loader = subsetLoader(urls, {[url]: {data: doc, headers}})
+      return read(url, {loader, cache: false}).then(cov => cov.subsetByValue({z: {start: 8, stop: 9}})).then(() => {
+        assert.deepEqual(urls, [url, 'http://example.com/data/subset?z=8%2F9'])
+      })
+    })
     let vals = FIXTURES.Grid().domain.axes.x.values
     it('should subset correctly, exact match', () => {
       return read(FIXTURES.Grid()).then(cov => {
@@ -6,7 +6,7 @@ import 'core-js/modules/es6.array.from'
 
 import assert from 'assert'
 
-import {read} from '../src/reader.js'
+import {read, Cache} from '../src/reader.js'
 import {COVERAGECOLLECTION} from '../src/constants.js'
 
 import {runServerIfNode} from './node-setup.js'
@@ -33,6 +33,161 @@ describe('CoverageCollection methods', () => {
   
   runServerIfNode()
   
+  describe('#paging', () => {
+    let base = 'http://example.com/profiles'
+
+    function page (id, extra = {}) {
+      let coverage = FIXTURES.Profile()
+      coverage.id = id
+      return Object.assign({type: 'CoverageCollection', coverages: [coverage]}, extra)
+    }
+
+    /**
+     * Returns a loader which responds with the given pages by URL and records the requested URLs.
+     */
+    function pageLoader (pages, urls) {
+      return url => {
+        urls.push(url)
+        let {data, headers} = pages[url]
+        return Promise.resolve({data, headers: headers || {}, url})
+      }
+    }
+
+    function collectIds (iterator) {
+      let ids = []
+      let next = () => iterator.next().then(({value, done}) => {
+        if (done) return ids
+        ids.push(value.id)
+        return next()
+      })
+      return next()
+    }
+
+    it('should not have paging information if the collection is not paged', () => {
+      return read(FIXTURES.CollectionEmpty()).then(coll => {
+        assert.strictEqual(coll.paging, undefined)
+      })
+    })
+    it('should follow next links given in Link headers', () => {
+      let urls = []
+      let pages = {
+        [base + '?page=1']: {
+          data: page('a'),
+          headers: {link: '<?page=2>; rel="next", <?page=1>; rel="first"'}
+        },
+        [base + '?page=2']: {
+          data: page('b'),
+          headers: {link: '<?page=1>; rel="prev"'}
+        }
+      }
+      let options = {loader: pageLoader(pages, urls), cache: false}
+      return read(base + '?page=1', options).then(coll => {
+        let paging = coll.paging
+        assert.strictEqual(paging.next.url, base + '?page=2')
+        assert.strictEqual(paging.first.url, base + '?page=1')
+        assert.strictEqual(paging.previous, undefined)
+        assert.strictEqual(paging.total, undefined)
+        return paging.next.load().then(nextPage => {
+          assert.strictEqual(nextPage.coverages[0].id, 'b')
+          assert.strictEqual(nextPage.paging.previous.url, base + '?page=1')
+          assert.strictEqual(nextPage.paging.next, undefined)
+          return collectIds(coll.iterateCoverages())
+        })
+      }).then(ids => {
+        assert.deepEqual(ids, ['a', 'b'])
+        assert.deepEqual(urls, [base + '?page=1', base + '?page=2', base + '?page=2'])
+      })
+    })
+    it('should follow Hydra page links in the document', () => {
+      let context = [{hydra: 'http://www.w3.org/ns/hydra/core#'}]
+      let pages = {
+        [base + '?page=2']: {
+          data: page('b', {'@context': context, 'hydra:totalItems': 3, 'hydra:view': {'hydra:next': {'@id': '?page=3'}}})
+        },
+        [base + '?page=3']: {
+          // terms of the Hydra context, and paging properties directly in the collection
+          data: page('c', {'@context': ['http://www.w3.org/ns/hydra/context.jsonld'], totalItems: 3, previous: '?page=2'})
+        }
+      }
+      let data = page('a', {'@context': context, 'hydra:totalItems': 3, 'hydra:view': {'hydra:next': '?page=2'}})
+      let urls = []
+      return read(data, {loader: pageLoader(pages, urls), baseUrl: base}).then(coll => {
+        assert.strictEqual(coll.paging.total, 3)
+        assert.strictEqual(coll.paging.next.url, base + '?page=2')
+        return collectIds(coll.iterateCoverages())
+      }).then(ids => {
+        assert.deepEqual(ids, ['a', 'b', 'c'])
+        assert.deepEqual(urls, [base + '?page=2', base + '?page=3'])
+      })
+    })
+    it('should load pages via the cache', () => {
+      let pages = {
+        [base + '?page=2']: {data: page('b'), headers: {'cache-control': 'max-age=60'}}
+      }
+      let urls = []
+      let cache = new Cache()
+      let data = page('a', {'@context': [{hydra: 'http://www.w3.org/ns/hydra/core#'}], 'hydra:next': '?page=2'})
+      return read(data, {loader: pageLoader(pages, urls), baseUrl: base, cache}).then(coll => {
+        return collectIds(coll.iterateCoverages()).then(() => collectIds(coll.iterateCoverages()))
+      }).then(ids => {
+        assert.deepEqual(ids, ['a', 'b'])
+        assert.deepEqual(urls, [base + '?page=2'])
+        assert.deepEqual(cache.keys(), [base + '?page=2'])
+      })
+    })
+    it('should process concurrent next() calls in order', () => {
+      let pages = {
+        [base + '?page=2']: {data: page('b', {'@context': [{hydra: 'http://www.w3.org/ns/hydra/core#'}], 'hydra:next': '?page=3'})},
+        [base + '?page=3']: {data: page('c')}
+      }
+      let urls = []
+      let data = page('a', {'@context': [{hydra: 'http://www.w3.org/ns/hydra/core#'}], 'hydra:next': '?page=2'})
+      return read(data, {loader: pageLoader(pages, urls), baseUrl: base}).then(coll => {
+        let iterator = coll.iterateCoverages()
+        return Promise.all([iterator.next(), iterator.next(), iterator.next(), iterator.next()])
+      }).then(results => {
+        assert.deepEqual(results.map(({value, done}) => done ? null : value.id), ['a', 'b', 'c', null])
+        assert.deepEqual(urls, [base + '?page=2', base + '?page=3'])
+      })
+    })
+    it('should stop iterating at pages that were already loaded', () => {
+      let pages = {
+        [base + '?page=1']: {data: page('a'), headers: {link: '<?page=2>; rel="next"'}},
+        [base + '?page=2']: {data: page('b'), headers: {link: '<?page=3>; rel="next"'}},
+        [base + '?page=3']: {data: page('c'), headers: {link: '<?page=2>; rel="next"'}}
+      }
+      let urls = []
+      return read(base + '?page=1', {loader: pageLoader(pages, urls), cache: false}).then(coll => {
+        return collectIds(coll.iterateCoverages())
+      }).then(ids => {
+        assert.deepEqual(ids, ['a', 'b', 'c'])
+        assert.deepEqual(urls, [base + '?page=1', base + '?page=2', base + '?page=3'])
+      })
+    })
+    it('should end the iteration after a page failed to load', () => {
+      let loader = () => Promise.reject(new Error('page unavailable'))
+      let data = page('a', {'@context': [{hydra: 'http://www.w3.org/ns/hydra/core#'}], 'hydra:next': '?page=2'})
+      return read(data, {loader, baseUrl: base}).then(coll => {
+        let iterator = coll.iterateCoverages()
+        return Promise.all([
+          iterator.next(),
+          iterator.next().then(() => { throw new Error('should have failed') }, e => e.message),
+          iterator.next()
+        ])
+      }).then(([first, message, last]) => {
+        assert.strictEqual(first.value.id, 'a')
+        assert.strictEqual(message, 'page unavailable')
+        assert.strictEqual(last.done, true)
+      })
+    })
+    it('should be asynchronously iterable', () => {
+      if (typeof Symbol !== 'function' || !Symbol.asyncIterator) return
+      return read(page('a')).then(coll => collectIds(coll[Symbol.asyncIterator]())).then(ids => {
+        assert.deepEqual(ids, ['a'])
+      })
+    })
+  })
+
   describe('#query', () => {
     it('should query correctly', () => {
       return read(FIXTURES.CollectionURL).then(coll => {
@@ -0,0 +1,117 @@
+// IE11 support
+import 'core-js/es6/promise'
+import 'core-js/es6/symbol'
+import 'core-js/es6/map'
+import 'core-js/modules/es6.array.from'
+
+import assert from 'assert'
+
+import {Cache, loadCached} from '../src/cache.js'
+
+/**
+ * Returns a loader which serves {values: [...]} documents of the given size with the given headers
+ * and records all requests.
+ */
+function createLoader (responseHeaders, valueCount = 10) {
+  let loader = (url, options) => {
+    loader.requests.push({url, headers: options.headers || {}})
+    if (loader.notModified) {
+      return Promise.resolve({headers: {}, url, status: 304})
+    }
+    return Promise.resolve({
+      data: {values: Array.from({length: valueCount}, () => 1)},
+      headers: responseHeaders,
+      url,
+      status: 200
+    })
+  }
+  loader.requests = []
+  return loader
+}
+
+describe('Cache', () => {
+  it('should return fresh documents from the cache', () => {
+    let cache = new Cache()
+    let loader = createLoader({'cache-control': 'max-age=60'})
+    return loadCached('http://example.com/a', {cache, loader}).then(() => {
+      return loadCached('http://example.com/a', {cache, loader})
+    }).then(({data}) => {
+      assert.strictEqual(data.values.length, 10)
+      assert.strictEqual(loader.requests.length, 1)
+      assert.deepEqual(cache.keys(), ['http://example.com/a'])
+    })
+  })
+  it('should give each caller its own copy of a cached document', () => {
+    let cache = new Cache()
+    let loader = createLoader({'cache-control': 'max-age=60'})
+    let url = 'http://example.com/a'
+    return loadCached(url, {cache, loader}).then(({data}) => {
+      data.values[0] = 2
+      return loadCached(url, {cache, loader})
+    }).then(({data}) => {
+      assert.strictEqual(data.values[0], 1)
+      data.values[0] = 3
+      return loadCached(url, {cache, loader})
+    }).then(({data}) => {
+      assert.strictEqual(data.values[0], 1)
+      assert.strictEqual(loader.requests.length, 1)
+    })
+  })
+  it('should not store documents with no-store', () => {
+    let cache = new Cache()
+    let loader = createLoader({'cache-control': 'no-store'})
+    return loadCached('http://example.com/a', {cache, loader}).then(() => {
+      assert.strictEqual(cache.count, 0)
+    })
+  })
+  it('should not cache requests with credential headers', () => {
+    let cache = new Cache()
+    let loader = createLoader({'cache-control': 'max-age=60'})
+    let url = 'http://example.com/a'
+    return loadCached(url, {cache, loader, headers: {'Authorization': 'Bearer alice'}}).then(() => {
+      return loadCached(url, {cache, loader, headers: {'Authorization': 'Bearer bob'}})
+    }).then(() => {
+      assert.deepEqual(loader.requests.map(r => r.headers['Authorization']), ['Bearer alice', 'Bearer bob'])
+      assert.strictEqual(cache.count, 0)
+    })
+  })
+  it('should not store documents which vary by a request header', () => {
+    let cache = new Cache()
+    let loader = createLoader({'cache-control': 'max-age=60', 'vary': 'Accept-Encoding, X-Tenant'})
+    let url = 'http://example.com/a'
+    return loadCached(url, {cache, loader, headers: {'x-tenant': 'a'}}).then(() => {
+      assert.strictEqual(cache.count, 0)
+      return loadCached(url, {cache, loader})
+    }).then(() => {
+      assert.deepEqual(cache.keys(), [url])
+      return loadCached('http://example.com/b', {cache, loader: createLoader({'cache-control': 'max-age=60', 'vary': '*'})})
+    }).then(() => {
+      assert.deepEqual(cache.keys(), [url])
+    })
+  })
+  it('should revalidate stale documents', () => {
+    let cache = new Cache()
+    let loader = createLoader({'cache-control': 'no-cache', 'etag': '"abc"'})
+    return loadCached('http://example.com/a', {cache, loader}).then(() => {
+      loader.notModified = true
+      return loadCached('http://example.com/a', {cache, loader})
+    }).then(({data}) => {
+      assert.strictEqual(data.values.length, 10)
+      assert.strictEqual(loader.requests.length, 2)
+      assert.strictEqual(loader.requests[1].headers['If-None-Match'], '"abc"')
+    })
+  })
+  it('should evict least recently used documents', () => {
+    // each document is approx. 80 bytes
+    let cache = new Cache({maxSize: 200})
+    let loader = createLoader({'cache-control': 'max-age=60'})
+    let get = url => () => loadCached(url, {cache, loader})
+    return get('a')().then(get('b')).then(get('a')).then(get('c')).then(() => {
+      assert.deepEqual(cache.keys(), ['a', 'c'])
+      assert(cache.size <= 200)
+      cache.clear()
+      assert.strictEqual(cache.count, 0)
+      assert.strictEqual(cache.size, 0)
+    })
+  })
+})
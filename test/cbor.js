@@ -0,0 +1,43 @@
+import assert from 'assert'
+
+import {decode} from '../src/cbor.js'
+
+function bytes (arr) {
+  return new Uint8Array(arr)
+}
+
+describe('CBOR decoding', () => {
+  it('should decode basic types', () => {
+    assert.strictEqual(decode(bytes([0x18, 0x64])), 100)
+    assert.strictEqual(decode(bytes([0x38, 0x63])), -100)
+    assert.strictEqual(decode(bytes([0xf9, 0x3e, 0x00])), 1.5)
+    assert.strictEqual(decode(bytes([0xfb, 0x3f, 0xf1, 0x99, 0x99, 0x99, 0x99, 0x99, 0x9a])), 1.1)
+    assert.strictEqual(decode(bytes([0xf6])), null)
+    assert.strictEqual(decode(bytes([0x63, 0xe2, 0x82, 0xac])), '€')
+    assert.deepEqual(decode(bytes([0xa1, 0x61, 0x61, 0x82, 0x01, 0xf5])), {a: [1, true]})
+  })
+  it('should decode indefinite-length items', () => {
+    assert.deepEqual(decode(bytes([0x9f, 0x01, 0x82, 0x02, 0x03, 0xff])), [1, [2, 3]])
+    assert.deepEqual(decode(bytes([0xbf, 0x61, 0x61, 0x01, 0xff])), {a: 1})
+    assert.strictEqual(decode(bytes([0x7f, 0x62, 0x73, 0x74, 0x61, 0x72, 0xff])), 'str')
+  })
+  it('should decode RFC 8746 typed arrays', () => {
+    // uint16, big endian
+    let arr = decode(bytes([0xd8, 0x41, 0x44, 0x00, 0x01, 0x01, 0x00]))
+    assert(arr instanceof Uint16Array)
+    assert.deepEqual(Array.from(arr), [1, 256])
+
+    // float32, little endian
+    arr = decode(bytes([0xd8, 0x55, 0x48, 0x00, 0x00, 0xc0, 0x3f, 0x00, 0x00, 0x20, 0xc0]))
+    assert(arr instanceof Float32Array)
+    assert.deepEqual(Array.from(arr), [1.5, -2.5])
+
+    // sint8
+    arr = decode(bytes([0xd8, 0x48, 0x42, 0xff, 0x01]))
+    assert(arr instanceof Int8Array)
+    assert.deepEqual(Array.from(arr), [-1, 1])
+  })
+  it('should ignore unknown tags', () => {
+    assert.strictEqual(decode(bytes([0xc1, 0x1a, 0x51, 0x4b, 0x67, 0xb0])), 1363896240)
+  })
+})
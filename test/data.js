@@ -7,6 +7,8 @@ export const FIXTURES = {
     CollectionURL: base + 'VerticalProfileCoverageCollection-standalone.covjson',
     GridCategoricalURL: base + 'Coverage-Grid-categorical-standalone.covjson',
     GridTiledURL: base + 'Coverage-Grid-tiled.covjson',
+    GridCategoricalCBORURL: base + 'Coverage-Grid-categorical-standalone.cbor',
+    GridTiledRelativeURL: base + 'Coverage-Grid-tiled-relative.covjson',
     Profile: () => ({
       "type" : "Coverage",
       "domain" : {
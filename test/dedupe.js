@@ -0,0 +1,118 @@
+// IE11 support
+import 'core-js/es6/promise'
+import 'core-js/es6/symbol'
+import 'core-js/es6/map'
+import 'core-js/modules/es6.array.from'
+
+import assert from 'assert'
+
+import {read} from '../src/reader.js'
+import {loadDeduplicated} from '../src/dedupe.js'
+import {createAbortController} from '../src/util.js'
+
+import {FIXTURES} from './data.js'
+
+/**
+ * Returns a loader which answers requests only when respond() is called.
+ */
+function createDeferredLoader () {
+  let pending = []
+  let loader = (url, options) => {
+    loader.requests.push({url, options})
+    return new Promise((resolve, reject) => {
+      pending.push(() => resolve({data: FIXTURES.Profile(), headers: {}, url}))
+      options.signal.addEventListener('abort', () => {
+        loader.aborted = true
+        reject(new Error('aborted'))
+      })
+    })
+  }
+  loader.requests = []
+  loader.respond = () => pending.forEach(fn => fn())
+  return loader
+}
+
+describe('Request deduplication', () => {
+  it('should share concurrent requests of the same URL', () => {
+    let loader = createDeferredLoader()
+    let p1 = loadDeduplicated('http://example.com/a', {loader})
+    let p2 = loadDeduplicated('http://example.com/a', {loader})
+    let p3 = loadDeduplicated('http://example.com/b', {loader})
+    loader.respond()
+    return Promise.all([p1, p2, p3]).then(([r1, r2, r3]) => {
+      assert.strictEqual(loader.requests.length, 2)
+      assert.deepEqual(r1.data, r2.data)
+      assert.notStrictEqual(r1.data, r3.data)
+    })
+  })
+  it('should give each caller its own copy of the document', () => {
+    let loader = createDeferredLoader()
+    let p1 = loadDeduplicated('http://example.com/a', {loader})
+    let p2 = loadDeduplicated('http://example.com/a', {loader})
+    loader.respond()
+    return p1.then(r1 => {
+      // transform the document in place before the other caller receives it
+      r1.data.ranges.PSAL.values = new Float64Array(r1.data.ranges.PSAL.values)
+      delete r1.data.domain
+      return p2
+    }).then(r2 => {
+      assert.deepEqual(r2.data, FIXTURES.Profile())
+    })
+  })
+  it('should not share requests with different timeout, retry, or worker options', () => {
+    let loader = createDeferredLoader()
+    let p1 = loadDeduplicated('http://example.com/a', {loader})
+    let p2 = loadDeduplicated('http://example.com/a', {loader, timeout: 1000})
+    let p3 = loadDeduplicated('http://example.com/a', {loader, retry: 2})
+    let p4 = loadDeduplicated('http://example.com/a', {loader, worker: {}})
+    loader.respond()
+    return Promise.all([p1, p2, p3, p4]).then(() => {
+      assert.strictEqual(loader.requests.length, 4)
+    })
+  })
+  it('should not share requests with different headers', () => {
+    let loader = createDeferredLoader()
+    let p1 = loadDeduplicated('http://example.com/a', {loader, headers: {'X-Token': '1'}})
+    let p2 = loadDeduplicated('http://example.com/a', {loader, headers: {'X-Token': '2'}})
+    loader.respond()
+    return Promise.all([p1, p2]).then(() => {
+      assert.strictEqual(loader.requests.length, 2)
+    })
+  })
+  it('should only abort the shared request when all callers aborted', () => {
+    let loader = createDeferredLoader()
+    let c1 = createAbortController()
+    let c2 = createAbortController()
+    let p1 = loadDeduplicated('http://example.com/a', {loader, signal: c1.signal})
+    let p2 = loadDeduplicated('http://example.com/a', {loader, signal: c2.signal})
+    c1.abort()
+    assert(!loader.aborted)
+    c2.abort()
+    assert(loader.aborted)
+    let expectAbortError = p => p.then(() => {
+      throw new Error('should have failed')
+    }, e => {
+      assert.strictEqual(e.name, 'AbortError')
+    })
+    return Promise.all([expectAbortError(p1), expectAbortError(p2)])
+  })
+  it('should share concurrent reads of the same URL', () => {
+    let loader = createDeferredLoader()
+    let p1 = read('http://example.com/a', {loader})
+    let p2 = read('http://example.com/a', {loader})
+    loader.respond()
+    return Promise.all([p1, p2]).then(() => {
+      assert.strictEqual(loader.requests.length, 1)
+    })
+  })
+  it('should validate each of concurrent strict reads before transforming it', () => {
+    let loader = createDeferredLoader()
+    let p1 = read('http://example.com/a', {loader, strict: true})
+    let p2 = read('http://example.com/a', {loader, strict: true})
+    loader.respond()
+    return Promise.all([p1, p2]).then(([cov1, cov2]) => {
+      assert.strictEqual(loader.requests.length, 1)
+      assert.notStrictEqual(cov1._covjson, cov2._covjson)
+    })
+  })
+})
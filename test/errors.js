@@ -0,0 +1,53 @@
+// IE11 support
+import 'core-js/es6/promise'
+import 'core-js/es6/symbol'
+import 'core-js/es6/map'
+import 'core-js/modules/es6.array.from'
+
+import assert from 'assert'
+
+import {read, CovJSONError, NetworkError, HttpError, AbortError, ValidationError, UnsupportedError} from '../src/reader.js'
+
+import {FIXTURES} from './data.js'
+
+function expectError (promise, ErrorClass) {
+  return promise.then(() => {
+    throw new Error('should have failed')
+  }, e => {
+    assert(e instanceof ErrorClass, 'expected ' + ErrorClass.name + ' but got ' + e)
+    return e
+  })
+}
+
+describe('Errors', () => {
+  it('should form a hierarchy of Error subclasses', () => {
+    let e = new HttpError('http://example.com/a', 503, {'retry-after': '10'})
+    assert(e instanceof Error)
+    assert(e instanceof CovJSONError)
+    assert(e instanceof NetworkError)
+    assert(!(e instanceof AbortError))
+    assert.strictEqual(e.name, 'HttpError')
+    assert.strictEqual(e.status, 503)
+    assert.strictEqual(e.headers['retry-after'], '10')
+    assert(e.message.indexOf('503') !== -1)
+    assert(e.stack)
+  })
+  it('should fail with a ValidationError with JSON pointer for invalid documents', () => {
+    let cov = FIXTURES.Profile()
+    delete cov.ranges
+    return expectError(read(cov), ValidationError).then(e => {
+      assert.strictEqual(e.path, '/ranges')
+    })
+  })
+  it('should fail with a ValidationError for unknown document types', () => {
+    return expectError(read({type: 'Foo'}), ValidationError).then(e => {
+      assert.strictEqual(e.path, '/type')
+    })
+  })
+  it('should fail with an UnsupportedError for unknown range types', () => {
+    let cov = FIXTURES.Profile()
+    let key = Object.keys(cov.ranges)[0]
+    cov.ranges[key].type = 'FancyArray'
+    return read(cov).then(cov => expectError(cov.loadRange(key), UnsupportedError))
+  })
+})
@@ -0,0 +1,373 @@
+// IE11 support
+import 'core-js/es6/promise'
+import 'core-js/es6/symbol'
+import 'core-js/es6/map'
+import 'core-js/modules/es6.array.from'
+
+import assert from 'assert'
+
+import {load, HttpError, TimeoutError, ParseError} from '../src/reader.js'
+import {createAbortController} from '../src/util.js'
+
+import {PORT, runServerIfNode} from './node-setup.js'
+import {FIXTURES} from './data.js'
+
+let browser = typeof window !== 'undefined'
+
+/**
+ * Returns a fetch() function which responds with the given bytes, delivered in chunks of the given size.
+ */
+function createFetch (bytes, contentType, chunkSize = bytes.length) {
+  return () => Promise.resolve({
+    status: 200,
+    headers: {
+      forEach: fn => fn(contentType, 'Content-Type'),
+      get: () => null
+    },
+    body: {
+      getReader: () => {
+        let offset = 0
+        return {
+          read: () => {
+            let value = bytes.subarray(offset, offset + chunkSize)
+            offset += chunkSize
+            return Promise.resolve(value.length ? {done: false, value} : {done: true})
+          }
+        }
+      }
+    },
+    arrayBuffer: () => Promise.resolve(bytes.buffer)
+  })
+}
+
+describe('HTTP loading', () => {
+
+  runServerIfNode()
+
+  it('should load a CoverageJSON document with lower-cased response headers', () => {
+    return load(FIXTURES.ProfileURL).then(({data, headers}) => {
+      assert.equal(data.type, 'Coverage')
+      for (let key of Object.keys(headers)) {
+        assert.strictEqual(key, key.toLowerCase())
+      }
+    })
+  })
+
+  it('should not write to the console', () => {
+    let calls = []
+    let methods = ['log', 'info', 'warn', 'error', 'debug']
+    let originals = methods.map(name => console[name])
+    methods.forEach(name => { console[name] = (...args) => calls.push(args) })
+    let restore = () => methods.forEach((name, i) => { console[name] = originals[i] })
+    return load(FIXTURES.ProfileURL, {stream: true}).then(() => load(FIXTURES.ProfileURL)).then(() => {
+      restore()
+      assert.deepEqual(calls, [])
+    }, e => {
+      restore()
+      throw e
+    })
+  })
+
+  it('should load a CoverageJSON document with a fetch function', () => {
+    let requestInit
+    let fetch = (url, init) => {
+      requestInit = init
+      let body = JSON.stringify(FIXTURES.Profile())
+      return Promise.resolve({
+        status: 200,
+        headers: {
+          forEach: fn => fn('application/prs.coverage+json', 'Content-Type')
+        },
+        arrayBuffer: () => Promise.resolve(new Uint8Array(body.split('').map(c => c.charCodeAt(0))).buffer)
+      })
+    }
+    return load('http://example.com/coverage', {fetch, headers: {'X-Foo': 'bar'}}).then(({data, headers}) => {
+      assert.equal(data.type, 'Coverage')
+      assert.equal(headers['content-type'], 'application/prs.coverage+json')
+      assert.equal(requestInit.headers['X-Foo'], 'bar')
+    })
+  })
+
+  it('should skip a UTF-8 byte order mark when detecting the format', () => {
+    let json = ' {"type": "Domain"}'.split('').map(c => c.charCodeAt(0))
+    let bytes = new Uint8Array([0xef, 0xbb, 0xbf].concat(json))
+    let fetch = createFetch(bytes, 'application/octet-stream', 1)
+    return Promise.all([
+      load('http://example.com/domain', {fetch}),
+      load('http://example.com/domain', {fetch, stream: true})
+    ]).then(results => {
+      for (let {data} of results) {
+        assert.deepEqual(data, {type: 'Domain'})
+      }
+    })
+  })
+
+  it('should detect CBOR documents starting with bytes of a byte order mark', () => {
+    // indefinite-length map {"type": "Domain"}
+    let bytes = new Uint8Array([0xbf, 0x64, 0x74, 0x79, 0x70, 0x65, 0x66, 0x44, 0x6f, 0x6d, 0x61, 0x69, 0x6e, 0xff])
+    let fetch = createFetch(bytes, 'application/octet-stream', 1)
+    return Promise.all([
+      load('http://example.com/domain', {fetch}),
+      load('http://example.com/domain', {fetch, stream: true})
+    ]).then(results => {
+      for (let {data} of results) {
+        assert.deepEqual(data, {type: 'Domain'})
+      }
+    })
+  })
+
+  it('should report download progress', () => {
+    let events = []
+    return load(FIXTURES.ProfileURL, {onProgress: e => events.push(e)}).then(() => {
+      assert(events.length > 0)
+      let last = events[events.length - 1]
+      assert.strictEqual(last.unit, 'bytes')
+      assert(last.loaded > 0)
+    })
+  })
+
+  it('should fail with an AbortError if the signal is already aborted', () => {
+    let controller = createAbortController()
+    controller.abort()
+    return load(FIXTURES.ProfileURL, {signal: controller.signal}).then(() => {
+      throw new Error('should have failed')
+    }, e => {
+      assert.strictEqual(e.name, 'AbortError')
+    })
+  })
+
+  it('should fail with a NetworkError or AbortError if reading the body fails', () => {
+    let controller = createAbortController()
+    let abortWhileReading = false
+    let fail = () => {
+      if (abortWhileReading) {
+        controller.abort()
+      }
+      return Promise.reject(new TypeError('body stream failed'))
+    }
+    let fetch = () => Promise.resolve({
+      status: 200,
+      headers: {
+        forEach: fn => fn('application/prs.coverage+json', 'Content-Type'),
+        get: () => null
+      },
+      body: {
+        getReader: () => ({read: fail})
+      },
+      arrayBuffer: fail
+    })
+    let expectError = (options, name) => load('http://example.com/coverage', options).then(() => {
+      throw new Error('should have failed')
+    }, e => {
+      assert.strictEqual(e.name, name)
+      assert.strictEqual(e.url, 'http://example.com/coverage')
+    })
+    return Promise.all([
+      expectError({fetch}, 'NetworkError'),
+      expectError({fetch, stream: true}, 'NetworkError'),
+      expectError({fetch, onProgress: () => {}}, 'NetworkError')
+    ]).then(() => {
+      abortWhileReading = true
+      return expectError({fetch, stream: true, signal: controller.signal}, 'AbortError')
+    })
+  })
+
+  it('should parse a document incrementally and report its metadata first', () => {
+    let doc = FIXTURES.ProfileNdArrayOnlyZ()
+    let bytes = JSON.stringify(doc).split('').map(c => c.charCodeAt(0))
+    let metadata
+    let chunksBeforeMetadata
+    let chunksRead = 0
+    let fetch = () => {
+      return Promise.resolve({
+        status: 200,
+        headers: {
+          forEach: fn => fn('application/prs.coverage+json', 'Content-Type'),
+          get: () => null
+        },
+        body: {
+          getReader: () => ({
+            read: () => {
+              let chunk = bytes.splice(0, 10)
+              if (chunk.length === 0) return Promise.resolve({done: true})
+              chunksRead++
+              return Promise.resolve({done: false, value: new Uint8Array(chunk)})
+            }
+          })
+        }
+      })
+    }
+    let onMetadata = m => {
+      metadata = m
+      chunksBeforeMetadata = chunksRead
+    }
+    return load('http://example.com/coverage', {fetch, stream: true, onMetadata}).then(({data}) => {
+      assert.deepEqual(Object.keys(metadata), ['type', 'domain', 'parameters'])
+      assert(chunksBeforeMetadata < chunksRead)
+      assert(data.ranges.PSAL.values instanceof Float64Array)
+      assert.deepEqual(Array.from(data.ranges.PSAL.values), doc.ranges.PSAL.values)
+    })
+  })
+
+  it('should report the whole document as metadata when not streaming', () => {
+    let metadata
+    return load(FIXTURES.ProfileURL, {onMetadata: m => { metadata = m }}).then(({data}) => {
+      assert.strictEqual(metadata, data)
+    })
+  })
+
+  it('should fail with an HttpError if the resource does not exist', () => {
+    let url = FIXTURES.ProfileURL + '.missing'
+    return load(url).then(() => {
+      throw new Error('should have failed')
+    }, e => {
+      assert(e instanceof HttpError)
+      assert.strictEqual(e.status, 404)
+      assert.strictEqual(e.url, url)
+    })
+  })
+
+  it('should fail with a ParseError if the document is invalid', () => {
+    let loader = url => load(url, {fetch: () => Promise.resolve({
+      status: 200,
+      headers: {forEach: fn => fn('application/json', 'Content-Type')},
+      arrayBuffer: () => Promise.resolve(new Uint8Array([0x7b, 0x7b]).buffer)
+    })})
+    return load('http://example.com/coverage', {loader}).then(() => {
+      throw new Error('should have failed')
+    }, e => {
+      assert(e instanceof ParseError)
+      assert.strictEqual(e.url, 'http://example.com/coverage')
+    })
+  })
+
+  it('should retry on server errors', () => {
+    let attempts = 0
+    let loader = url => {
+      attempts++
+      if (attempts < 3) {
+        return Promise.reject(new HttpError(url, 503))
+      }
+      return Promise.resolve({data: FIXTURES.Profile(), headers: {}, url})
+    }
+    return load('http://example.com/coverage', {loader, retry: {retries: 2, minDelay: 1}}).then(({data}) => {
+      assert.equal(data.type, 'Coverage')
+      assert.strictEqual(attempts, 3)
+    })
+  })
+
+  it('should not retry on client errors', () => {
+    let attempts = 0
+    let loader = url => {
+      attempts++
+      return Promise.reject(new HttpError(url, 404))
+    }
+    return load('http://example.com/coverage', {loader, retry: 2}).then(() => {
+      throw new Error('should have failed')
+    }, e => {
+      assert.strictEqual(attempts, 1)
+      assert.strictEqual(e.attempts, 1)
+      assert.strictEqual(e.status, 404)
+    })
+  })
+
+  it('should fail with the last error when retries are exhausted', () => {
+    let loader = url => Promise.reject(new HttpError(url, 429, {'retry-after': '0'}))
+    return load('http://example.com/coverage', {loader, retry: {retries: 2, minDelay: 10000}}).then(() => {
+      throw new Error('should have failed')
+    }, e => {
+      assert.strictEqual(e.url, 'http://example.com/coverage')
+      assert.strictEqual(e.status, 429)
+      assert.strictEqual(e.attempts, 3)
+    })
+  })
+
+  it('should fail with a TimeoutError and abort the request', () => {
+    let signal
+    let loader = (url, options) => {
+      signal = options.signal
+      return new Promise(() => {})
+    }
+    return load('http://example.com/coverage', {loader, timeout: 10}).then(() => {
+      throw new Error('should have failed')
+    }, e => {
+      assert(e instanceof TimeoutError)
+      assert.strictEqual(e.name, 'TimeoutError')
+      assert.strictEqual(e.url, 'http://example.com/coverage')
+      assert(signal.aborted)
+    })
+  })
+
+  if (browser) return
+
+  describe('Node.js', () => {
+    const REDIRECT_PORT = PORT + 1
+    let http = require('http')
+    let lastRequestHeaders
+    let server = http.createServer((req, res) => {
+      if (req.url === '/slow') {
+        setTimeout(() => res.end(), 1000)
+        return
+      }
+      lastRequestHeaders = req.headers
+      if (req.url === '/cross-origin') {
+        // same server, but a different origin
+        res.writeHead(302, {'Location': 'http://127.0.0.1:' + REDIRECT_PORT + '/redirect'})
+        res.end()
+        return
+      }
+      res.writeHead(302, {'Location': 'http://localhost:' + PORT + '/fixtures/Coverage-Profile-standalone.covjson'})
+      res.end()
+    })
+    before(() => {
+      server.listen(REDIRECT_PORT)
+    })
+    after(() => {
+      server.close()
+    })
+
+    it('should follow redirects and forward headers', () => {
+      let url = 'http://localhost:' + REDIRECT_PORT + '/redirect'
+      return load(url, {headers: {'X-Foo': 'bar'}, eagerload: true}).then(({data}) => {
+        assert.equal(data.type, 'Coverage')
+        assert.equal(lastRequestHeaders['x-foo'], 'bar')
+        assert(lastRequestHeaders['accept'].indexOf('standalone') !== -1)
+      })
+    })
+
+    it('should not forward credential headers to another origin when following redirects', () => {
+      let url = 'http://localhost:' + REDIRECT_PORT + '/cross-origin'
+      let headers = {'Authorization': 'Bearer abc', 'Cookie': 'session=1', 'X-API-Key': 'key', 'X-Foo': 'bar'}
+      return load(url, {headers}).then(({data}) => {
+        assert.equal(data.type, 'Coverage')
+        assert.strictEqual(lastRequestHeaders['host'], '127.0.0.1:' + REDIRECT_PORT)
+        assert.strictEqual(lastRequestHeaders['authorization'], undefined)
+        assert.strictEqual(lastRequestHeaders['cookie'], undefined)
+        assert.strictEqual(lastRequestHeaders['x-api-key'], undefined)
+        assert.equal(lastRequestHeaders['x-foo'], 'bar')
+      })
+    })
+
+    it('should parse a document incrementally', () => {
+      return load(FIXTURES.GridCategoricalURL, {stream: true}).then(({data}) => {
+        assert.equal(data.type, 'Coverage')
+        let values = data.ranges.LC.values
+        assert(values instanceof Float64Array)
+        assert.deepEqual(Array.from(values).map(v => isNaN(v) ? null : v), [1, 1, null, 2, 1, 2])
+        assert(data.domain.axes.x.values instanceof Float64Array)
+      })
+    })
+
+    it('should abort an in-flight request', () => {
+      let controller = createAbortController()
+      let url = 'http://localhost:' + REDIRECT_PORT + '/slow'
+      let promise = load(url, {signal: controller.signal})
+      setTimeout(() => controller.abort(), 50)
+      return promise.then(() => {
+        throw new Error('should have failed')
+      }, e => {
+        assert.strictEqual(e.name, 'AbortError')
+      })
+    })
+  })
+})
@@ -0,0 +1,92 @@
+// IE11 support
+import 'core-js/es6/promise'
+import 'core-js/es6/symbol'
+import 'core-js/es6/map'
+import 'core-js/modules/es6.array.from'
+
+import assert from 'assert'
+
+import {JsonStreamParser} from '../src/json-stream.js'
+import {FIXTURES} from './data.js'
+
+function toBytes (str) {
+  // UTF-8 encoding of the string
+  let utf8 = unescape(encodeURIComponent(str))
+  return new Uint8Array(utf8.split('').map(c => c.charCodeAt(0)))
+}
+
+function parseChunked (str, chunkSize, options) {
+  let bytes = toBytes(str)
+  let parser = new JsonStreamParser(options)
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    parser.write(bytes.subarray(i, i + chunkSize))
+  }
+  return parser.end()
+}
+
+// converts typed arrays back to arrays for comparison with JSON.parse()
+function normalize (obj) {
+  // NaN elements become null, as in the original document
+  return JSON.parse(JSON.stringify(obj, (key, val) => ArrayBuffer.isView(val) ? Array.from(val) : val))
+}
+
+describe('JSON stream parser', () => {
+  it('should parse documents split into chunks of any size', () => {
+    let docs = [
+      JSON.stringify(FIXTURES.Profile(), null, 2),
+      JSON.stringify(FIXTURES.Grid()),
+      '{"a": "\\"esc\\u00e4ped\\"\\n", "b": "grüße €", "c": [true, false, null, -1.5e-3, 0, {}], "d": []}',
+      ' 42 ',
+      '"str"'
+    ]
+    for (let doc of docs) {
+      for (let chunkSize of [1, 2, 3, 7, 1000]) {
+        assert.deepEqual(normalize(parseChunked(doc, chunkSize)), JSON.parse(doc))
+      }
+    }
+  })
+  it('should decode numeric values arrays into typed arrays', () => {
+    let doc = parseChunked('{"values": [1, 2.5, -3e2], "other": [1, 2], "mixed": {"values": [1, null, "a"]}}', 3)
+    assert(doc.values instanceof Float64Array)
+    assert.deepEqual(Array.from(doc.values), [1, 2.5, -300])
+    assert(Array.isArray(doc.other))
+    assert(Array.isArray(doc.mixed.values))
+    assert.deepEqual(doc.mixed.values, [1, null, 'a'])
+  })
+  it('should decode null elements of values arrays as NaN', () => {
+    let values = [null, 1, null, null, 2.5, null]
+    let doc = parseChunked(JSON.stringify({values}), 2)
+    assert(doc.values instanceof Float64Array)
+    assert.equal(doc.values.length, values.length)
+    values.forEach((v, i) => {
+      if (v === null) {
+        assert(isNaN(doc.values[i]))
+      } else {
+        assert.strictEqual(doc.values[i], v)
+      }
+    })
+  })
+  it('should keep nested values arrays as arrays', () => {
+    let doc = parseChunked('{"values": [[1, 2], [3, 4]]}', 5)
+    assert.deepEqual(doc.values, [[1, 2], [3, 4]])
+  })
+  it('should report keys of the root object with the members parsed so far', () => {
+    let seen = []
+    parseChunked('{"type": "Coverage", "domain": {"a": 1}, "ranges": {}}', 4, {
+      onKey: (key, root) => seen.push([key, Object.keys(root)])
+    })
+    assert.deepEqual(seen, [['type', []], ['domain', ['type']], ['ranges', ['type', 'domain']]])
+  })
+  it('should reject numbers which are not valid JSON', () => {
+    for (let num of ['01', '-01', '+1', '1e', '1e+', '.5', '1.', '-', '1.5.2', '1-2', '0x10']) {
+      let doc = '{"values": [' + num + '], "other": ' + num + '}'
+      assert.throws(() => parseChunked(doc, 3), SyntaxError, num)
+    }
+    assert.deepEqual(normalize(parseChunked('[0, -0.5, 1E3, 2e-2, 10]', 2)), [0, -0.5, 1000, 0.02, 10])
+  })
+  it('should reject invalid documents', () => {
+    for (let doc of ['{"a" 1}', '[1,]', '{"a": tru}', '[1] [2]', '{"a": 1', '', '[1 2]']) {
+      assert.throws(() => parseChunked(doc, 2), SyntaxError, doc)
+    }
+  })
+})
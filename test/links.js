@@ -0,0 +1,40 @@
+import assert from 'assert'
+
+import {parseLinkHeader} from '../src/links.js'
+
+describe('Link header parsing', () => {
+  let base = 'http://example.com/data/cov.covjson'
+
+  it('should parse links with relation types and attributes', () => {
+    let links = parseLinkHeader('<next.covjson>; rel="next", </about>; rel=about; title="About us"; type=text/html', base)
+    assert.deepEqual(links, [
+      {url: 'http://example.com/data/next.covjson', rel: ['next'], attributes: {}},
+      {url: 'http://example.com/about', rel: ['about'], attributes: {title: 'About us', type: 'text/html'}}
+    ])
+  })
+  it('should not split at commas and semicolons within targets and quoted strings', () => {
+    let links = parseLinkHeader('<http://example.com/a;b,c>; title="x, y; \\"z\\""; rel="alternate",<d>;rel=next', base)
+    assert.strictEqual(links.length, 2)
+    assert.strictEqual(links[0].url, 'http://example.com/a;b,c')
+    assert.strictEqual(links[0].attributes.title, 'x, y; "z"')
+    assert.deepEqual(links[0].rel, ['alternate'])
+    assert.deepEqual(links[1].rel, ['next'])
+  })
+  it('should support several relation types and ignore repeated rel parameters', () => {
+    let links = parseLinkHeader('<a>; REL="Next http://example.com/rels/Page"; rel=prev', base)
+    assert.deepEqual(links[0].rel, ['next', 'http://example.com/rels/Page'])
+  })
+  it('should resolve anchors and collect hreflang values', () => {
+    let links = parseLinkHeader('<de>; rel=alternate; anchor="#x"; hreflang=de; hreflang=de-AT; type=a; type=b', base)
+    assert.strictEqual(links[0].anchor, base + '#x')
+    assert.deepEqual(links[0].attributes, {hreflang: ['de', 'de-AT'], type: 'a'})
+  })
+  it('should prefer decoded extended parameters', () => {
+    let links = parseLinkHeader("<a>; rel=next; title=\"Naechste\"; title*=UTF-8'de'N%c3%a4chste", base)
+    assert.strictEqual(links[0].attributes.title, 'Nächste')
+  })
+  it('should skip empty and invalid list elements', () => {
+    let links = parseLinkHeader(' , invalid; rel=next, <a>; rel=next,', base)
+    assert.deepEqual(links.map(link => link.url), ['http://example.com/data/a'])
+  })
+})
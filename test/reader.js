@@ -73,6 +73,24 @@ describe('reader methods', () => {
         assert.deepEqual(param.categoryEncoding.get(grass.id), [1])
       })
     })
+    it('should read a CoverageJSON Coverage in CBOR format', () => {
+      return read(FIXTURES.GridCategoricalCBORURL).then(cov => {
+        assert.deepEqual(cov.parameters.get('LC').categoryEncoding.get('http://.../landcover1/categories/rocks'), [2])
+        return cov.loadRange('LC').then(range => {
+          assert.strictEqual(range.get({y: 0, x: 0}), 1)
+          assert.strictEqual(range.get({y: 1, x: 0}), 2)
+        })
+      })
+    })
+    it('should read a streamed CoverageJSON Coverage with missing values', () => {
+      return read(FIXTURES.GridCategoricalURL, {stream: true}).then(cov => {
+        return cov.loadRange('LC').then(range => {
+          assert.strictEqual(range.get({y: 0, x: 1}), 1)
+          assert.strictEqual(range.get({y: 0, x: 2}), null)
+          assert.strictEqual(range.get({y: 1, x: 0}), 2)
+        })
+      })
+    })
     it('Regular axis in coverage should expand correctly', () => {
       return read(FIXTURES.GridRegular()).then(cov => {
         return cov.loadDomain().then(domain => {
@@ -0,0 +1,105 @@
+import assert from 'assert'
+
+import {resolveUrl, getBaseUrl, getTemplateVariables, deepcopy, mapLimit} from '../src/util.js'
+
+describe('util methods', () => {
+  describe('#resolveUrl', () => {
+    // examples from RFC 3986, section 5.4
+    let base = 'http://a/b/c/d;p?q'
+    let examples = {
+      'g:h': 'g:h',
+      'g': 'http://a/b/c/g',
+      './g': 'http://a/b/c/g',
+      'g/': 'http://a/b/c/g/',
+      '/g': 'http://a/g',
+      '//g': 'http://g',
+      '?y': 'http://a/b/c/d;p?y',
+      'g?y': 'http://a/b/c/g?y',
+      '#s': 'http://a/b/c/d;p?q#s',
+      'g;x?y#s': 'http://a/b/c/g;x?y#s',
+      '': 'http://a/b/c/d;p?q',
+      '.': 'http://a/b/c/',
+      '..': 'http://a/b/',
+      '../g': 'http://a/b/g',
+      '../../g': 'http://a/g',
+      '../../../g': 'http://a/g',
+      'g/./h': 'http://a/b/c/g/h',
+      'g/../h': 'http://a/b/c/h'
+    }
+    for (let url of Object.keys(examples)) {
+      it('should resolve "' + url + '"', () => {
+        assert.strictEqual(resolveUrl(base, url), examples[url])
+      })
+    }
+    it('should keep relative base URLs relative', () => {
+      assert.strictEqual(resolveUrl('data/cov.covjson', 'domain.covjson'), 'data/domain.covjson')
+    })
+  })
+  describe('#getBaseUrl', () => {
+    it('should take @base into account', () => {
+      let doc = {'@context': ['https://covjson.org/context.jsonld', {'@base': 'tiles/'}]}
+      assert.strictEqual(getBaseUrl(doc, 'http://example.com/a/cov.covjson'), 'http://example.com/a/tiles/')
+      assert.strictEqual(getBaseUrl({}, 'http://example.com/a/cov.covjson'), 'http://example.com/a/cov.covjson')
+    })
+  })
+  describe('#deepcopy', () => {
+    it('should copy nested objects, arrays, and typed arrays', () => {
+      let doc = {type: 'NdArray', shape: [2], values: new Float32Array([1, 2]), meta: {tags: ['a']}, missing: null}
+      let copy = deepcopy(doc)
+      assert.deepEqual(copy, doc)
+      assert.notStrictEqual(copy.meta.tags, doc.meta.tags)
+      assert(copy.values instanceof Float32Array)
+      copy.values[0] = 5
+      assert.strictEqual(doc.values[0], 1)
+    })
+  })
+  describe('#getTemplateVariables', () => {
+    it('should strip operators and value modifiers', () => {
+      assert.deepEqual(getTemplateVariables('tiles/{t}/{+z}/{y:3}{?x*,q}{}'), ['t', 'z', 'y', 'x', 'q'])
+      assert.deepEqual(getTemplateVariables('cov.covjson'), [])
+    })
+  })
+  describe('#mapLimit', () => {
+    it('should limit the number of concurrent calls and keep the result order', () => {
+      let running = 0
+      let maxRunning = 0
+      let fn = (item, i) => {
+        running++
+        maxRunning = Math.max(maxRunning, running)
+        return new Promise(resolve => setTimeout(resolve, 5 - i)).then(() => {
+          running--
+          return item * 2
+        })
+      }
+      return mapLimit([1, 2, 3, 4, 5], 2, fn).then(results => {
+        assert.deepEqual(results, [2, 4, 6, 8, 10])
+        assert.strictEqual(maxRunning, 2)
+      })
+    })
+    it('should not start further calls after a failure', () => {
+      let calls = 0
+      let fn = item => {
+        calls++
+        return item === 2 ? Promise.reject(new Error('fail')) : Promise.resolve(item)
+      }
+      return mapLimit([1, 2, 3, 4], 1, fn).then(() => {
+        assert.fail('should have failed')
+      }, e => {
+        assert.strictEqual(e.message, 'fail')
+        assert.strictEqual(calls, 2)
+      })
+    })
+    it('should fail for a limit below 1', () => {
+      return mapLimit([1, 2], -1, item => item).then(() => {
+        assert.fail('should have failed')
+      }, e => {
+        assert(e instanceof RangeError)
+      })
+    })
+    it('should succeed with an empty array for no items', () => {
+      return mapLimit([], 2, () => {}).then(results => {
+        assert.deepEqual(results, [])
+      })
+    })
+  })
+})
@@ -0,0 +1,141 @@
+// IE11 support
+import 'core-js/es6/promise'
+import 'core-js/es6/symbol'
+import 'core-js/es6/map'
+import 'core-js/es6/set'
+import 'core-js/modules/es6.array.from'
+
+import assert from 'assert'
+
+import {read, validate, ValidationError} from '../src/reader.js'
+import {validateRangeDocument} from '../src/validate.js'
+
+import {FIXTURES} from './data.js'
+
+function errorPaths (report) {
+  return report.errors.map(e => e.path)
+}
+
+describe('Validation', () => {
+  it('should accept valid documents', () => {
+    for (let name of ['Profile', 'ProfileNdArrayOnlyZ', 'Grid', 'GridRegular', 'GridRegularDomain', 'GridNewRange', 'Point', 'CollectionEmpty']) {
+      let report = validate(FIXTURES[name]())
+      assert(report.valid, name + ': ' + JSON.stringify(report.errors))
+    }
+  })
+  it('should report deprecated constructs as warnings', () => {
+    let report = validate(FIXTURES.Profile())
+    assert(report.valid)
+    assert.deepEqual(report.warnings.map(w => w.path), ['/ranges/PSAL/type'])
+  })
+  it('should check the packing metadata of ranges', () => {
+    let cov = FIXTURES.ProfileNdArrayOnlyZ()
+    let key = Object.keys(cov.ranges)[0]
+    Object.assign(cov.ranges[key], {scale_factor: '0.1', add_offset: 5, _FillValue: [-1, null]})
+    let report = validate(cov)
+    let path = '/ranges/' + key + '/'
+    assert.deepEqual(errorPaths(report), [path + 'scale_factor', path + '_FillValue'])
+  })
+  it('should check the required axes of domain types', () => {
+    let cov = FIXTURES.ProfileNdArrayOnlyZ()
+    cov.domain.axes.y.values = [1, 2]
+    delete cov.domain.axes.z
+    let report = validate(cov)
+    assert(errorPaths(report).indexOf('/domain/axes/y') !== -1)
+    assert(errorPaths(report).indexOf('/domain/axes/z') !== -1)
+  })
+  it('should check that all coordinates are referenced', () => {
+    let cov = FIXTURES.ProfileNdArrayOnlyZ()
+    cov.domain.referencing.pop()
+    cov.domain.referencing[0].coordinates.push('foo')
+    let report = validate(cov)
+    assert.deepEqual(errorPaths(report), ['/domain/referencing/0/coordinates/2', '/domain/referencing'])
+  })
+  it('should check range shapes against axis sizes', () => {
+    let cov = FIXTURES.ProfileNdArrayOnlyZ()
+    cov.ranges.PSAL.shape = [3]
+    cov.ranges.PSAL.values.push(1)
+    let report = validate(cov)
+    assert.deepEqual(errorPaths(report), ['/ranges/PSAL/shape/0'])
+  })
+  it('should check range values against the data type', () => {
+    let cov = FIXTURES.ProfileNdArrayOnlyZ()
+    cov.ranges.PSAL.dataType = 'integer'
+    let report = validate(cov)
+    assert.deepEqual(errorPaths(report), ['/ranges/PSAL/values/0'])
+  })
+  it('should check category encodings', () => {
+    let cov = FIXTURES.ProfileNdArrayOnlyZ()
+    let param = cov.parameters.PSAL
+    delete param.unit
+    param.observedProperty.categories = [{id: 'a', label: {en: 'A'}}]
+    param.categoryEncoding = {'a': 1, 'b': 2}
+    let report = validate(cov)
+    assert.deepEqual(errorPaths(report), ['/parameters/PSAL/categoryEncoding/b', '/ranges/PSAL/dataType'])
+  })
+  it('should check units', () => {
+    let cov = FIXTURES.ProfileNdArrayOnlyZ()
+    cov.parameters.PSAL.unit = {symbol: {value: 'K'}}
+    let report = validate(cov)
+    assert.deepEqual(errorPaths(report), ['/parameters/PSAL/unit/symbol'])
+  })
+  it('should escape keys in JSON pointers', () => {
+    let cov = FIXTURES.ProfileNdArrayOnlyZ()
+    cov.parameters['a/b'] = cov.parameters.PSAL
+    let report = validate(cov)
+    assert.deepEqual(errorPaths(report), ['/ranges/a~1b'])
+  })
+  it('should accept collections whose coverages each have ranges for some of the collection parameters', () => {
+    let profile = FIXTURES.ProfileNdArrayOnlyZ()
+    let createCoverage = key => {
+      let cov = FIXTURES.ProfileNdArrayOnlyZ()
+      cov.ranges = {[key]: cov.ranges.PSAL}
+      delete cov.parameters
+      return cov
+    }
+    let coll = {
+      type: 'CoverageCollection',
+      parameters: {PSAL: profile.parameters.PSAL, TEMP: profile.parameters.PSAL},
+      coverages: [createCoverage('PSAL'), createCoverage('TEMP')]
+    }
+    let report = validate(coll)
+    assert(report.valid, JSON.stringify(report.errors))
+    return read(coll, {strict: true}).then(coll => {
+      assert.deepEqual([...coll.coverages[1].parameters.keys()], ['TEMP'])
+    })
+  })
+  it('should check that coverages have ranges for their own parameters', () => {
+    let cov = FIXTURES.ProfileNdArrayOnlyZ()
+    cov.parameters.TEMP = cov.parameters.PSAL
+    let coll = {type: 'CoverageCollection', parameters: {}, coverages: [cov]}
+    assert.deepEqual(errorPaths(validate(coll)), ['/coverages/0/ranges/TEMP'])
+  })
+  it('should validate range documents without axisNames against the rangeAxisOrder of a transformed domain', () => {
+    let domain = {
+      type: 'Domain',
+      axes: new Map([['x', {values: [1, 2]}], ['y', {values: [1, 2, 3]}]]),
+      _rangeAxisOrder: ['y', 'x']
+    }
+    let range = {type: 'NdArray', dataType: 'float', shape: [3, 2], values: [1, 2, 3, 4, 5, 6]}
+    let report = validateRangeDocument(range, domain)
+    assert(report.valid, JSON.stringify(report.errors))
+    range.shape = [2, 3]
+    assert.deepEqual(errorPaths(validateRangeDocument(range, domain)), ['/shape/0', '/shape/1'])
+  })
+  it('should reject invalid documents in strict mode', () => {
+    let cov = FIXTURES.ProfileNdArrayOnlyZ()
+    cov.ranges.PSAL.dataType = 'integer'
+    return read(cov, {strict: true}).then(() => {
+      throw new Error('should have failed')
+    }, e => {
+      assert(e instanceof ValidationError)
+      assert.strictEqual(e.path, '/ranges/PSAL/values/0')
+      assert.strictEqual(e.errors.length, 1)
+    })
+  })
+  it('should read valid documents in strict mode', () => {
+    return read(FIXTURES.ProfileNdArrayOnlyZ(), {strict: true}).then(cov => {
+      assert.equal(cov.type, 'Coverage')
+    })
+  })
+})
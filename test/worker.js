@@ -0,0 +1,121 @@
+// IE11 support
+import 'core-js/es6/promise'
+import 'core-js/es6/symbol'
+import 'core-js/es6/map'
+import 'core-js/es6/weak-map'
+import 'core-js/modules/es6.array.from'
+
+import assert from 'assert'
+
+import {read, load, HttpError, AbortError} from '../src/reader.js'
+import {serve, prepareDocument} from '../src/worker.js'
+import {createAbortController} from '../src/util.js'
+
+import {runServerIfNode} from './node-setup.js'
+import {FIXTURES} from './data.js'
+
+/**
+ * Returns a worker-like object whose worker side runs in the current thread.
+ * Messages are delivered asynchronously as with real workers.
+ */
+function createInProcessWorker () {
+  let mainListeners = []
+  let workerListeners = []
+  let worker = {
+    messages: [],
+    transferred: [],
+    postMessage: msg => {
+      worker.messages.push(msg)
+      setTimeout(() => workerListeners.forEach(fn => fn({data: msg})))
+    },
+    addEventListener: (type, fn) => mainListeners.push(fn)
+  }
+  serve({
+    postMessage: (msg, transfer) => {
+      worker.transferred.push(...(transfer || []))
+      setTimeout(() => mainListeners.forEach(fn => fn({data: msg})))
+    },
+    addEventListener: (type, fn) => workerListeners.push(fn)
+  })
+  return worker
+}
+
+describe('Worker', () => {
+  runServerIfNode()
+
+  it('should load and prepare documents in the worker', () => {
+    let worker = createInProcessWorker()
+    return load(FIXTURES.GridCategoricalURL, {worker}).then(({data}) => {
+      assert.equal(worker.messages[0].type, 'load')
+      assert(data.domain.axes.x.values instanceof Float64Array)
+      assert.deepEqual(Array.from(data.domain.axes.x.values), [-10, -5, 0])
+      assert.strictEqual(data.ranges.LC.actualMin, 1)
+      assert.strictEqual(data.ranges.LC.actualMax, 2)
+      assert.equal(worker.transferred.length, 3)
+    })
+  })
+
+  it('should convert range values to typed arrays with a validity mask', () => {
+    let doc = {
+      type: 'Coverage',
+      domain: {type: 'Domain', axes: {x: {start: 0, stop: 3, num: 4}}},
+      ranges: {
+        A: {type: 'NdArray', dataType: 'integer', axisNames: ['x'], shape: [4], values: [1, null, 300, 4]},
+        B: {type: 'NdArray', dataType: 'float', axisNames: ['x'], shape: [4], values: [0.5, null, 1, 2]}
+      }
+    }
+    let transfer = []
+    prepareDocument(doc, transfer)
+    assert.deepEqual(Array.from(doc.domain.axes.x.values), [0, 1, 2, 3])
+    assert(doc.ranges.A.values instanceof Uint16Array)
+    assert.deepEqual(Array.from(doc.ranges.A._mask), [1, 0, 1, 1])
+    assert(doc.ranges.B.values instanceof Float64Array)
+    assert(isNaN(doc.ranges.B.values[1]))
+    assert.equal(transfer.length, 4)
+  })
+
+  it('should read coverages with tiles loaded in the worker', () => {
+    let worker = createInProcessWorker()
+    return read(FIXTURES.GridTiledURL, {worker}).then(cov => {
+      return cov.subsetByIndex({t: 0, y: 0, x: {start: 0, stop: 2}}).then(subset => subset.loadRange('FOO'))
+    }).then(range => {
+      assert.strictEqual(range.get({x: 0}), 1)
+      assert.strictEqual(range.get({x: 1}), 2)
+      let urls = worker.messages.filter(msg => msg.type === 'load').map(msg => msg.url)
+      assert.equal(urls[0], FIXTURES.GridTiledURL)
+      assert(urls.length > 1)
+    })
+  })
+
+  it('should return missing values of integer ranges as null', () => {
+    let worker = createInProcessWorker()
+    return read(FIXTURES.GridCategoricalURL, {worker}).then(cov => cov.loadRange('LC')).then(range => {
+      assert.strictEqual(range.get({y: 0, x: 2}), null)
+      assert.strictEqual(range.get({y: 1, x: 0}), 2)
+    })
+  })
+
+  it('should recreate errors thrown in the worker', () => {
+    let worker = createInProcessWorker()
+    return load(FIXTURES.ProfileURL + '.missing', {worker}).then(() => {
+      assert.fail('should have failed')
+    }, e => {
+      assert(e instanceof HttpError)
+      assert.equal(e.status, 404)
+    })
+  })
+
+  it('should forward progress events and aborts', () => {
+    let worker = createInProcessWorker()
+    let controller = createAbortController()
+    let promise = load(FIXTURES.ProfileURL, {worker, signal: controller.signal, onProgress: () => {}})
+    controller.abort()
+    return promise.then(() => {
+      assert.fail('should have failed')
+    }, e => {
+      assert(e instanceof AbortError)
+      assert.deepEqual(worker.messages.map(msg => msg.type), ['load', 'abort'])
+      assert.strictEqual(worker.messages[0].progress, true)
+    })
+  })
+})
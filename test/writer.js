@@ -0,0 +1,140 @@
+// IE11 support
+import 'core-js/es6/promise'
+import 'core-js/es6/symbol'
+import 'core-js/es6/map'
+import 'core-js/es6/set'
+import 'core-js/modules/es6.array.from'
+
+import assert from 'assert'
+
+import {read, write, validate} from '../src/reader.js'
+
+import {runServerIfNode} from './node-setup.js'
+import {FIXTURES} from './data.js'
+
+function assertValid (doc) {
+  let report = validate(doc)
+  assert(report.valid, JSON.stringify(report.errors))
+}
+
+describe('Writer', () => {
+
+  runServerIfNode()
+
+  it('should write a coverage that can be read again', () => {
+    return read(FIXTURES.GridNewRange()).then(cov => write(cov, {compactAxes: false})).then(doc => {
+      assertValid(doc)
+      let expected = FIXTURES.GridNewRange()
+      assert.deepEqual(doc.domain, expected.domain)
+      assert.deepEqual(doc.parameters, expected.parameters)
+      assert.deepEqual(doc.ranges, expected.ranges)
+      return read(doc)
+    }).then(cov => cov.loadRange('ICEC')).then(range => {
+      assert.strictEqual(range.get({x: 1, y: 1}), 0.2)
+    })
+  })
+
+  it('should restore axisNames and shape of older range formats', () => {
+    return read(FIXTURES.Grid()).then(write).then(doc => {
+      assertValid(doc)
+      let range = doc.ranges.ICEC
+      assert.strictEqual(range.type, 'NdArray')
+      assert.deepEqual(range.axisNames, ['t', 'z', 'y', 'x'])
+      assert.deepEqual(range.shape, [1, 1, 2, 3])
+      assert.strictEqual(doc.domain.rangeAxisOrder, undefined)
+    })
+  })
+
+  it('should compact regular axes', () => {
+    return read(FIXTURES.GridRegular()).then(write).then(doc => {
+      assert.deepEqual(doc.domain.axes.y, {start: 40, stop: 50, num: 2})
+      assert.deepEqual(doc.domain.axes.x, {start: -10, stop: 0, num: 3})
+      return read(FIXTURES.GridRegular()).then(cov => write(cov, {compactAxes: false}))
+    }).then(doc => {
+      assert.deepEqual(doc.domain.axes.x, {values: [-10, -5, 0]})
+    })
+  })
+
+  it('should write a subsetted coverage', () => {
+    return read(FIXTURES.GridNewRange())
+      .then(cov => cov.subsetByIndex({x: {start: 1, stop: 3}, y: 1}))
+      .then(write)
+      .then(doc => {
+        assertValid(doc)
+        assert.deepEqual(doc.domain.axes.x, {start: -5, stop: 0, num: 2})
+        assert.deepEqual(doc.domain.axes.y, {values: [50]})
+        assert.deepEqual(doc.ranges.ICEC.shape, [1, 1, 1, 2])
+        assert.deepEqual(doc.ranges.ICEC.values, [0.2, null])
+      })
+  })
+
+  it('should write category encodings', () => {
+    return read(FIXTURES.GridCategoricalURL).then(write).then(doc => {
+      assertValid(doc)
+      let param = doc.parameters.LC
+      assert.deepEqual(param.categoryEncoding, {
+        'http://.../landcover1/categories/grass': 1,
+        'http://.../landcover1/categories/rocks': 2
+      })
+      assert.strictEqual(param.key, undefined)
+      assert.strictEqual(doc.ranges.LC.dataType, 'integer')
+    })
+  })
+
+  it('should write a coverage collection with shared parameters', () => {
+    return read(FIXTURES.CollectionURL).then(write).then(doc => {
+      assertValid(doc)
+      assert.strictEqual(doc.type, 'CoverageCollection')
+      assert.deepEqual(Object.keys(doc.parameters), ['PSAL'])
+      assert.strictEqual(doc.parameters.PSAL.unit.symbol, 'psu')
+      assert.strictEqual(doc.coverages[0].parameters, undefined)
+      assert.strictEqual(doc.coverages[0].domain.domainType, 'VerticalProfile')
+    })
+  })
+
+  it('should write a coverage collection that can be read and written again', () => {
+    let written
+    return read(FIXTURES.CollectionURL).then(write).then(doc => {
+      written = doc
+      // parameter IDs generated when reading are not part of the document
+      assert.strictEqual(doc.parameters.PSAL.id, undefined)
+      return read(JSON.parse(JSON.stringify(doc))).then(write)
+    }).then(doc => {
+      assertValid(doc)
+      assert.deepEqual(doc, written)
+    })
+  })
+
+  it('should only write the given parameters', () => {
+    let cov = FIXTURES.GridNewRange()
+    cov.parameters.FOO = cov.parameters.ICEC
+    cov.ranges.FOO = cov.ranges.ICEC
+    return read(cov).then(cov => write(cov, {parameters: ['FOO']})).then(doc => {
+      assert.deepEqual(Object.keys(doc.parameters), ['FOO'])
+      assert.deepEqual(Object.keys(doc.ranges), ['FOO'])
+    })
+  })
+
+  it('should write tiled ranges with tiles from a tile resolver as NdArray', () => {
+    let cov = {
+      type: 'Coverage',
+      domain: {type: 'Domain', axes: {x: {values: [1, 2, 3, 4]}}, referencing: []},
+      parameters: {FOO: {type: 'Parameter', observedProperty: {label: {en: 'Foo'}}}},
+      ranges: {
+        FOO: {
+          type: 'TiledNdArray',
+          dataType: 'float',
+          axisNames: ['x'],
+          shape: [4],
+          tileSets: [{tileShape: [2], urlTemplate: '{x}.covjson'}]
+        }
+      }
+    }
+    let tileResolver = ({tile}) => ({type: 'NdArray', dataType: 'float', axisNames: ['x'], shape: [2],
+      values: tile.x === 0 ? [0.5, 1.5] : [2.5, null]})
+    return read(cov, {tileResolver}).then(write).then(doc => {
+      assert.strictEqual(doc.ranges.FOO.type, 'NdArray')
+      assert.deepEqual(doc.ranges.FOO.values, [0.5, 1.5, 2.5, null])
+    })
+  })
+})